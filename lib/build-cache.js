@@ -0,0 +1,213 @@
+/**
+ * Build Cache - Skip pipeline work whose inputs have not changed
+ * 
+ * Records, per step or per file, the fingerprints (size, mtime and content
+ * hash) of the inputs that produced a set of outputs. Work is reused when
+ * every input still matches and every output still exists. Hashes are only
+ * recomputed for files whose size or mtime changed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger, projectRoot } from './utils.js';
+
+const CACHE_VERSION = 1;
+export const CACHE_FILE = path.join(projectRoot, 'data/.build-cache.json');
+
+// Relative module specifiers of static imports, re-exports and dynamic imports
+const RELATIVE_IMPORT = /\b(?:from|import)\s*\(?\s*['"](\.{1,2}\/[^'"]+)['"]/g;
+
+/**
+ * Source modules and every project module they import, directly or indirectly
+ * 
+ * A step's code is more than its processor: moving logic into a helper
+ * module must still invalidate the step.
+ * 
+ * @param {string|string[]} sources - Modules relative to the project root
+ * @returns {string[]} Modules relative to the project root, sorted
+ */
+export function sourceModules(sources) {
+    const found = new Set();
+    const visit = file => {
+        if (found.has(file)) return;
+        found.add(file);
+        const fullPath = path.resolve(projectRoot, file);
+        if (!fs.existsSync(fullPath)) return;
+        for (const match of fs.readFileSync(fullPath, 'utf8').matchAll(RELATIVE_IMPORT)) {
+            const imported = path.resolve(path.dirname(fullPath), match[1]);
+            visit(path.relative(projectRoot, imported).split(path.sep).join('/'));
+        }
+    };
+    [].concat(sources).forEach(visit);
+    return [...found].sort();
+}
+
+/**
+ * Hash a file's contents without loading it into memory
+ */
+export function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha1');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+export class BuildCache {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled=true] - When false nothing is reused (--no-cache), but entries are still recorded
+     * @param {string} [options.cacheFile=CACHE_FILE]
+     */
+    constructor({ enabled = true, cacheFile = CACHE_FILE } = {}) {
+        this.enabled = enabled;
+        this.cacheFile = cacheFile;
+        this.entries = {};
+        this.reused = [];
+        this.rebuilt = [];
+        
+        if (fs.existsSync(cacheFile)) {
+            try {
+                const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+                if (cached.version === CACHE_VERSION) {
+                    this.entries = cached.entries || {};
+                }
+            } catch (error) {
+                logger.warning(`Ignoring unreadable build cache: ${error.message}`);
+            }
+        }
+    }
+    
+    /**
+     * Fingerprint a file, reusing the previous hash when size and mtime are unchanged
+     */
+    async fingerprint(filePath, previous) {
+        const fullPath = path.resolve(projectRoot, filePath);
+        if (!fs.existsSync(fullPath)) return null;
+        
+        const stats = fs.statSync(fullPath);
+        if (stats.isDirectory()) {
+            return { directory: true };
+        }
+        
+        if (previous && previous.size === stats.size && previous.mtimeMs === stats.mtimeMs) {
+            return previous;
+        }
+        
+        return {
+            size: stats.size,
+            mtimeMs: stats.mtimeMs,
+            hash: await hashFile(fullPath)
+        };
+    }
+    
+    /**
+     * Check whether recorded work can be reused
+     * 
+     * @param {string} scope - Kind of work, e.g. 'steps' or 'fsdbinary'
+     * @param {string} key - Item within the scope, e.g. 'types' or 'types.fsdbinary'
+     * @param {Object} spec
+     * @param {string[]} spec.inputs - Files the work reads (relative to the project root)
+     * @param {string[]} [spec.outputs] - Files the work writes
+     * @param {Object} [spec.params] - Options that change the output
+     */
+    async isFresh(scope, key, { inputs, outputs = [], params = {} }) {
+        const entry = this.entries[scope]?.[key];
+        const fresh = this.enabled && entry && await this.matches(entry, inputs, outputs, params);
+        
+        (fresh ? this.reused : this.rebuilt).push(`${scope}:${key}`);
+        return Boolean(fresh);
+    }
+    
+    async matches(entry, inputs, outputs, params) {
+        if (JSON.stringify(entry.params) !== JSON.stringify(params)) return false;
+        if (JSON.stringify(Object.keys(entry.inputs).sort()) !== JSON.stringify([...inputs].sort())) return false;
+        if (!outputs.every(output => fs.existsSync(path.resolve(projectRoot, output)))) return false;
+        
+        for (const input of inputs) {
+            const previous = entry.inputs[input];
+            const current = await this.fingerprint(input, previous);
+            if (previous === null || current === null) {
+                if (previous !== current) return false;
+            } else if (previous.directory || current.directory) {
+                if (previous.directory !== current.directory) return false;
+            } else if (previous.hash !== current.hash) {
+                return false;
+            } else {
+                // Same content with a new mtime: remember it so it is not hashed again
+                entry.inputs[input] = current;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Record completed work and the fingerprints of the inputs it used
+     */
+    async record(scope, key, { inputs, outputs = [], params = {}, result = null }) {
+        const previousInputs = this.entries[scope]?.[key]?.inputs || {};
+        const fingerprints = {};
+        for (const input of inputs) {
+            fingerprints[input] = await this.fingerprint(input, previousInputs[input]);
+        }
+        
+        if (!this.entries[scope]) {
+            this.entries[scope] = {};
+        }
+        this.entries[scope][key] = {
+            inputs: fingerprints,
+            outputs,
+            params,
+            result,
+            recordedAt: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Forget recorded work that wrote files under a directory, so it runs again
+     * 
+     * @param {string} directory - Relative to the project root
+     * @param {string[]} [except=[]] - Files under the directory that were left in place
+     * @returns {string[]} scope:key of each forgotten entry
+     */
+    forgetOutputs(directory, except = []) {
+        const prefix = directory.replace(/\/?$/, '/');
+        const forgotten = [];
+        for (const [scope, entries] of Object.entries(this.entries)) {
+            for (const [key, entry] of Object.entries(entries)) {
+                if ((entry.outputs || []).some(output => output.startsWith(prefix) && !except.includes(output))) {
+                    delete entries[key];
+                    forgotten.push(`${scope}:${key}`);
+                }
+            }
+        }
+        return forgotten;
+    }
+    
+    /**
+     * Result stored with recorded work
+     */
+    getResult(scope, key) {
+        return this.entries[scope]?.[key]?.result ?? null;
+    }
+    
+    save() {
+        fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+        fs.writeFileSync(this.cacheFile, JSON.stringify({ version: CACHE_VERSION, entries: this.entries }, null, 2));
+    }
+    
+    /**
+     * What was reused and what was rebuilt during this run
+     */
+    report() {
+        return {
+            enabled: this.enabled,
+            reused: this.reused,
+            rebuilt: this.rebuilt
+        };
+    }
+}
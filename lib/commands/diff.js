@@ -0,0 +1,116 @@
+/**
+ * Diff Command - Compare two extractions and write a JSON report and a
+ * Markdown changelog of what changed
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger, projectRoot } from '../utils.js';
+import { diffSnapshots, renderChangelog } from '../snapshot-diff.js';
+import { resolveExtraction } from '../snapshots.js';
+
+const DEFAULT_OUTPUT_DIR = 'data/diffs';
+
+function parseDiffArgs(args) {
+    const options = {
+        before: null,
+        after: null,
+        output: null,
+        markdown: null,
+        json: false,
+        help: false
+    };
+    const positional = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        
+        switch (arg) {
+            case '--output':
+            case '-o':
+                options.output = args[++i];
+                break;
+            case '--markdown':
+                options.markdown = args[++i];
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+    
+    [options.before, options.after] = positional;
+    if (positional.length > 2) {
+        throw new Error(`Expected two snapshot directories, got ${positional.length}`);
+    }
+    return options;
+}
+
+function writeFile(file, contents) {
+    const filePath = path.resolve(projectRoot, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, contents);
+    return path.relative(projectRoot, filePath);
+}
+
+async function runDiffCommand(args) {
+    const options = parseDiffArgs(args);
+    if (options.help || !options.before || !options.after) {
+        logger.info(diffCommand.usage.join('\n'));
+        if (!options.help) process.exit(1);
+        return;
+    }
+    
+    const before = resolveExtraction(options.before);
+    const after = resolveExtraction(options.after);
+    const labels = { before: before.label, after: after.label };
+    const diff = diffSnapshots(before.directory, after.directory, labels);
+    
+    if (options.json) {
+        console.log(JSON.stringify(diff, null, 2));
+        return;
+    }
+    
+    const baseName = `${labels.before}_to_${labels.after}`;
+    const jsonFile = writeFile(options.output || path.join(DEFAULT_OUTPUT_DIR, `${baseName}.json`), JSON.stringify(diff, null, 2));
+    const markdownFile = writeFile(options.markdown || path.join(DEFAULT_OUTPUT_DIR, `${baseName}.md`), renderChangelog(diff));
+    
+    logger.info(`\n🔍 ${labels.before} → ${labels.after}`);
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    for (const [section, counts] of Object.entries(diff.summary)) {
+        const parts = Object.entries(counts).map(([kind, count]) => `${count} ${kind}`);
+        logger.info(`   ${section.padEnd(12)} ${parts.join(', ')}`);
+    }
+    for (const { file, missingIn } of diff.skipped) {
+        logger.warning(`${file} is missing in ${missingIn.join(' and ')}; not compared`);
+    }
+    
+    logger.success(`Saved ${jsonFile} and ${markdownFile}`);
+}
+
+export const diffCommand = {
+    name: 'diff',
+    summary: 'Compare two extractions and write a changelog',
+    usage: [
+        'Usage: npm run tools -- diff <old> <new> [options]',
+        '',
+        'Each side is a directory holding the extracted files of one game build (e.g. data/extracted),',
+        'or a snapshot: its ID, build number or "latest" (see the snapshots command).',
+        'Compares type names, blueprint materials and products, and systems with their gate connections.',
+        '',
+        'Options:',
+        `  --output, -o <file>  JSON report (default: ${DEFAULT_OUTPUT_DIR}/<old>_to_<new>.json)`,
+        `  --markdown <file>    Markdown changelog (default: ${DEFAULT_OUTPUT_DIR}/<old>_to_<new>.md)`,
+        '  --json               Print the report as JSON instead of writing files'
+    ],
+    run: runDiffCommand
+};
@@ -0,0 +1,165 @@
+/**
+ * Index Diff Command - Which game resources a patch added, removed or changed,
+ * from the index manifests of two builds
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger, projectRoot } from '../utils.js';
+import { INDEX_MANIFEST_FILE, compareIndexManifests, filetypeOf } from '../index-manifest.js';
+import { resolveExtraction } from '../snapshots.js';
+import { splitList } from './options.js';
+
+function parseIndexDiffArgs(args) {
+    const options = {
+        before: null,
+        after: null,
+        filetypes: [],
+        pathPrefix: null,
+        limit: 20,
+        output: null,
+        json: false,
+        help: false
+    };
+    const positional = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        
+        switch (arg) {
+            case '--filetype':
+                options.filetypes.push(...splitList(args[++i]).map(filetype => filetype.replace(/^\./, '').toLowerCase()));
+                break;
+            case '--path':
+                options.pathPrefix = args[++i];
+                break;
+            case '--limit':
+                options.limit = parseInt(args[++i]) || options.limit;
+                break;
+            case '--output':
+            case '-o':
+                options.output = args[++i];
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+    
+    [options.before, options.after] = positional;
+    if (positional.length > 2) {
+        throw new Error(`Expected two index manifests, got ${positional.length}`);
+    }
+    return options;
+}
+
+/**
+ * Load an index manifest from a file, a directory holding one, or a snapshot
+ */
+function loadManifest(target) {
+    let manifestPath = path.resolve(target);
+    let label = path.basename(manifestPath);
+    if (!fs.existsSync(manifestPath) || fs.statSync(manifestPath).isDirectory()) {
+        const extraction = resolveExtraction(target);
+        manifestPath = path.join(extraction.directory, path.basename(INDEX_MANIFEST_FILE));
+        label = extraction.label;
+    }
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`No ${path.basename(INDEX_MANIFEST_FILE)} in ${label}. Run the index step to create one.`);
+    }
+    return { manifest: JSON.parse(fs.readFileSync(manifestPath, 'utf8')), label };
+}
+
+function formatBytes(bytes) {
+    const sign = bytes < 0 ? '-' : '+';
+    const size = Math.abs(bytes);
+    if (size >= 1024 * 1024 * 1024) return `${sign}${(size / 1024 / 1024 / 1024).toFixed(2)}GB`;
+    if (size >= 1024 * 1024) return `${sign}${(size / 1024 / 1024).toFixed(1)}MB`;
+    return `${sign}${(size / 1024).toFixed(1)}KB`;
+}
+
+async function runIndexDiffCommand(args) {
+    const options = parseIndexDiffArgs(args);
+    if (options.help || !options.before || !options.after) {
+        logger.info(indexDiffCommand.usage.join('\n'));
+        if (!options.help) process.exit(1);
+        return;
+    }
+    
+    const before = loadManifest(options.before);
+    const after = loadManifest(options.after);
+    const changes = compareIndexManifests(before.manifest, after.manifest, {
+        include: logicalPath => (options.filetypes.length === 0 || options.filetypes.includes(filetypeOf(logicalPath))) &&
+            (!options.pathPrefix || logicalPath.startsWith(options.pathPrefix))
+    });
+    
+    if (options.output) {
+        const outputPath = path.resolve(projectRoot, options.output);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, JSON.stringify(changes, null, 2));
+    }
+    if (options.json) {
+        console.log(JSON.stringify(changes, null, 2));
+        return;
+    }
+    
+    const { counts } = changes;
+    logger.info(`\n🗂️  ${before.label} → ${after.label}`);
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.info(`   ${counts.added} added, ${counts.removed} removed, ${counts.changed} changed (${formatBytes(changes.sizeChange)} in total)`);
+    
+    const filetypes = Object.entries(changes.byFiletype)
+        .sort(([, a], [, b]) => (b.added + b.removed + b.changed) - (a.added + a.removed + a.changed));
+    if (filetypes.length > 0) {
+        logger.info(`\n   ${'filetype'.padEnd(12)} ${'added'.padStart(9)} ${'removed'.padStart(9)} ${'changed'.padStart(9)}`);
+        for (const [filetype, count] of filetypes) {
+            logger.info(`   ${(filetype || '(none)').padEnd(12)} ${String(count.added).padStart(9)} ${String(count.removed).padStart(9)} ${String(count.changed).padStart(9)}`);
+        }
+    }
+    
+    for (const [kind, symbol] of [['added', '+'], ['removed', '-'], ['changed', '~']]) {
+        const items = changes[kind];
+        if (items.length === 0) continue;
+        logger.info(`\n   ${kind[0].toUpperCase()}${kind.slice(1)}${items.length > options.limit ? ` (first ${options.limit} of ${items.length})` : ''}:`);
+        for (const item of items.slice(0, options.limit)) {
+            logger.info(`   ${symbol} ${item.logicalPath}`);
+        }
+    }
+    
+    for (const [side, indexes] of Object.entries(changes.onlyIn)) {
+        for (const index of indexes) {
+            logger.warning(`${index} is only in the ${side === 'before' ? 'older' : 'newer'} manifest; not compared`);
+        }
+    }
+    if (options.output) {
+        logger.success(`Saved ${path.relative(projectRoot, path.resolve(projectRoot, options.output))}`);
+    }
+}
+
+export const indexDiffCommand = {
+    name: 'index-diff',
+    summary: 'List game resources added, removed or changed between two builds',
+    usage: [
+        'Usage: npm run tools -- index-diff <old> <new> [options]',
+        '',
+        `Compares the ${path.basename(INDEX_MANIFEST_FILE)} written by the index step. Each side is a manifest file,`,
+        'a directory holding one (e.g. data/extracted), or a snapshot: its ID, build number or "latest".',
+        '',
+        'Options:',
+        '  --filetype <types>   Only these filetypes, comma-separated, e.g. fsdbinary,pickle',
+        '  --path <prefix>      Only logical paths starting with this, e.g. res:/staticdata/',
+        '  --limit <n>          Resources listed per kind (default: 20)',
+        '  --output, -o <file>  Also write the full comparison as JSON',
+        '  --json               Print the full comparison as JSON'
+    ],
+    run: runIndexDiffCommand
+};
@@ -0,0 +1,105 @@
+/**
+ * Materialized Command - How the game files under data/ and bin64/ were made
+ * available, and whether copies still match the files they were copied from
+ */
+
+import { logger } from '../utils.js';
+import { 
+    MATERIALIZED_FILE, 
+    LINKS_TARGET, 
+    loadMaterializedRecord, 
+    verifyCopies 
+} from '../materialize.js';
+
+function parseMaterializedArgs(args) {
+    const options = {
+        verify: false,
+        json: false,
+        help: false
+    };
+    
+    for (const arg of args) {
+        switch (arg) {
+            case '--verify':
+                options.verify = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+}
+
+async function runMaterializedCommand(args) {
+    const options = parseMaterializedArgs(args);
+    if (options.help) {
+        logger.info(materializedCommand.usage.join('\n'));
+        return;
+    }
+    
+    const record = loadMaterializedRecord();
+    if (!record) {
+        throw new Error(`No ${MATERIALIZED_FILE}. Run setup or the index step first.`);
+    }
+    
+    const entries = Object.values(record.files);
+    const summary = {
+        updated: record.updated,
+        targets: record.targets || {},
+        copies: entries.filter(entry => entry.mode === 'copy').length,
+        unverifiedCopies: entries.filter(entry => entry.mode === 'copy' && !entry.sha1).length,
+        references: entries.filter(entry => entry.mode === 'manifest').length,
+        referencedDirectories: Object.keys(record.directories)
+    };
+    const verification = options.verify ? await verifyCopies(record) : null;
+    
+    if (options.json) {
+        console.log(JSON.stringify({ ...summary, verification }, null, 2));
+    } else {
+        logger.info(`\n🔗 Game files (updated ${summary.updated})`);
+        logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        for (const [target, { mode, updated }] of Object.entries(summary.targets)) {
+            logger.info(`   ${target === LINKS_TARGET ? 'Files sorted by type' : target}: ${mode} (${updated})`);
+        }
+        logger.info(`   Copies: ${summary.copies}${summary.unverifiedCopies ? ` (${summary.unverifiedCopies} without a recorded hash)` : ''}`);
+        logger.info(`   Recorded references: ${summary.references}`);
+        for (const directory of summary.referencedDirectories) {
+            logger.info(`   Recorded directory: ${directory} → ${record.directories[directory].source}`);
+        }
+        if (verification) {
+            for (const { file, problem } of verification.problems) {
+                logger.error(`${file}: ${problem}`);
+            }
+            if (verification.problems.length === 0) {
+                logger.success(`All ${verification.checked} copies match their recorded hashes`);
+            }
+        }
+    }
+    
+    if (verification?.problems.length > 0) {
+        logger.error(`${verification.problems.length} of ${verification.checked} copies differ. Rerun the step that made them (setup or index).`);
+        process.exit(1);
+    }
+}
+
+export const materializedCommand = {
+    name: 'materialized',
+    summary: 'Show how game files were linked or copied, and verify copies',
+    usage: [
+        'Usage: npm run tools -- materialized [options]',
+        '',
+        `Reads ${MATERIALIZED_FILE}, written by setup and the index step (see --materialize in the pipeline help).`,
+        '',
+        'Options:',
+        '  --verify             Hash every copy and compare it with the hash taken when it was copied',
+        '  --json               Print the summary as JSON'
+    ],
+    run: runMaterializedCommand
+};
@@ -0,0 +1,137 @@
+/**
+ * Messages Command - Look up localized messages in the message catalog by ID,
+ * by "FullPath/label", or by text
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger, projectRoot } from '../utils.js';
+import { FALLBACK_LOCALE } from '../localization.js';
+import { MESSAGE_CATALOG_FILE } from '../processors/message-catalog.js';
+
+function parseMessagesArgs(args) {
+    const options = {
+        query: null,
+        pathPrefix: null,
+        locale: FALLBACK_LOCALE,
+        parameterized: false,
+        limit: 20,
+        json: false,
+        help: false
+    };
+    const positional = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        
+        switch (arg) {
+            case '--path':
+                options.pathPrefix = args[++i];
+                break;
+            case '--locale':
+                options.locale = args[++i];
+                break;
+            case '--parameterized':
+                options.parameterized = true;
+                break;
+            case '--limit':
+                options.limit = parseInt(args[++i]) || options.limit;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+    
+    options.query = positional.join(' ') || null;
+    return options;
+}
+
+/**
+ * Load the catalog written by the messages step
+ */
+export function loadMessageCatalog(root = projectRoot) {
+    const filePath = path.join(root, MESSAGE_CATALOG_FILE);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`${MESSAGE_CATALOG_FILE} not found. Run the messages step first: npm run pipeline -- --steps messages`);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Messages matching the options: an exact message ID or key when the query
+ * is one, otherwise every message whose key or text contains the query
+ */
+export function searchMessages(catalog, options) {
+    const { query, pathPrefix, parameterized } = options;
+    const exactId = query && /^\d+$/.test(query) ? catalog.messages[query] : null;
+    const exactKey = query && catalog.byKey[query] !== undefined ? catalog.messages[catalog.byKey[query]] : null;
+    if (exactId || exactKey) {
+        return [exactId || exactKey];
+    }
+    
+    const needle = query?.toLowerCase();
+    return Object.values(catalog.messages).filter(message => {
+        if (pathPrefix && !(message.fullPath || '').toLowerCase().startsWith(pathPrefix.toLowerCase())) return false;
+        if (parameterized && !message.parameterized) return false;
+        if (!needle) return true;
+        return (message.key || '').toLowerCase().includes(needle) ||
+            Object.values(message.text).some(text => text.toLowerCase().includes(needle));
+    });
+}
+
+async function runMessagesCommand(args) {
+    const options = parseMessagesArgs(args);
+    if (options.help || (!options.query && !options.pathPrefix && !options.parameterized)) {
+        logger.info(messagesCommand.usage.join('\n'));
+        if (!options.help) process.exit(1);
+        return;
+    }
+    
+    const catalog = loadMessageCatalog();
+    if (!catalog.metadata.locales.includes(options.locale)) {
+        throw new Error(`The catalog has no ${options.locale} text (locales: ${catalog.metadata.locales.join(', ')})`);
+    }
+    
+    const found = searchMessages(catalog, options);
+    const shown = found.slice(0, options.limit);
+    
+    if (options.json) {
+        console.log(JSON.stringify({ count: found.length, messages: shown }, null, 2));
+        return;
+    }
+    
+    logger.info(`\n📚 ${found.length} messages${found.length > shown.length ? ` (showing ${shown.length})` : ''}`);
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    for (const message of shown) {
+        const text = message.text[options.locale] ?? message.text[FALLBACK_LOCALE] ?? '(no text)';
+        const parameters = message.parameterized ? `  [parameters: ${message.parameters.join(', ')}]` : '';
+        logger.info(`   ${String(message.id).padEnd(10)} ${message.key || '(unlabelled)'}${parameters}`);
+        logger.info(`              ${text.replace(/\s+/g, ' ').slice(0, 200)}`);
+    }
+}
+
+export const messagesCommand = {
+    name: 'messages',
+    summary: 'Find localized messages by ID, FullPath/label or text',
+    usage: [
+        'Usage: npm run tools -- messages <id | FullPath/label | text> [options]',
+        '',
+        'Options:',
+        '  --path <prefix>      Only messages whose FullPath starts with this, e.g. UI/Inventory',
+        '  --parameterized      Only messages filled in with parameters at runtime',
+        `  --locale <code>      Show the text in this locale (default: ${FALLBACK_LOCALE})`,
+        '  --limit <n>          Show at most n messages (default: 20)',
+        '  --json               Print the matching messages as JSON'
+    ],
+    run: runMessagesCommand
+};
@@ -0,0 +1,184 @@
+/**
+ * Nearby Command - Nearest systems, systems within a radius, or systems in a
+ * bounding box, answered from the stellar step's spatial index
+ */
+
+import { logger } from '../utils.js';
+import { loadSpatialIndex } from '../stellar/spatial-index.js';
+import { loadStarMap, loadStellarLabels } from '../stellar/star-map.js';
+import { parseNumbers, configuredUnitsPerLightYear } from './options.js';
+
+function parseNearbyArgs(args) {
+    const options = {
+        system: null,
+        point: null,
+        k: null,
+        radius: null,
+        box: null,
+        unitsPerLightYear: configuredUnitsPerLightYear(),
+        json: false,
+        help: false
+    };
+    const positional = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        
+        switch (arg) {
+            case '--k':
+                options.k = parseInt(args[++i]) || null;
+                break;
+            case '--radius':
+                options.radius = parseFloat(args[++i]) || null;
+                break;
+            case '--point':
+                options.point = parseNumbers(args[++i], 3, '--point');
+                break;
+            case '--box':
+                options.box = parseNumbers(args[++i], 6, '--box');
+                break;
+            case '--units-per-ly':
+                options.unitsPerLightYear = parseFloat(args[++i]) || options.unitsPerLightYear;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+    
+    [options.system] = positional;
+    if (!options.k && !options.radius && !options.box) {
+        options.k = 10;
+    }
+    return options;
+}
+
+/**
+ * Find a system ID by an ID in the index, or an ID or name in the star map
+ */
+function resolveSystemId(query, index, starMap) {
+    const text = String(query).trim();
+    if (/^\d+$/.test(text) && index.ids.includes(parseInt(text))) {
+        return parseInt(text);
+    }
+    return starMap.resolveSystem(text).id;
+}
+
+/**
+ * Display name of a system: its label, else its name in stellar_systems.json
+ */
+function systemName(id, starMap, labels) {
+    return labels.systems?.[id] ?? starMap.systems.get(id)?.name ?? `System_${id}`;
+}
+
+/**
+ * Run the query the options ask for
+ * 
+ * Distances and coordinates on the command line are in light-years; the
+ * index works in the star map's own units.
+ */
+export function queryNearby(index, starMap, labels, options) {
+    const scale = options.unitsPerLightYear;
+    let center = options.point ? options.point.map(value => value * scale) : null;
+    let origin = null;
+    
+    if (options.system) {
+        const systemId = resolveSystemId(options.system, index, starMap);
+        const position = index.ids.indexOf(systemId);
+        if (position === -1) {
+            throw new Error(`System ${options.system} is not in the spatial index. Rerun the stellar step.`);
+        }
+        center = index.point(position);
+        origin = { id: systemId, name: systemName(systemId, starMap, labels) };
+    }
+    
+    let query;
+    let found;
+    if (options.box) {
+        const [minX, minY, minZ, maxX, maxY, maxZ] = options.box.map(value => value * scale);
+        query = { type: 'box', min: options.box.slice(0, 3), max: options.box.slice(3) };
+        found = index.withinBox([minX, minY, minZ], [maxX, maxY, maxZ]).map(({ id, center: position }) => ({
+            id,
+            distance: center ? Math.hypot(...position.map((value, axis) => value - center[axis])) : null
+        }));
+    } else if (!center) {
+        throw new Error('Give a system or --point for nearest and radius queries');
+    } else if (options.radius) {
+        query = { type: 'radius', radiusLy: options.radius };
+        found = index.withinRadius(center, options.radius * scale);
+    } else {
+        query = { type: 'nearest', k: options.k };
+        found = index.nearest(center, options.k, { exclude: new Set(origin ? [origin.id] : []) });
+    }
+    
+    const systems = found
+        .filter(({ id }) => id !== origin?.id)
+        .map(({ id, distance }) => ({
+            id,
+            name: systemName(id, starMap, labels),
+            distanceLy: distance === null ? null : distance / scale
+        }));
+    
+    return { origin, point: options.point, query, count: systems.length, systems };
+}
+
+async function runNearbyCommand(args) {
+    const options = parseNearbyArgs(args);
+    if (options.help || (!options.system && !options.point && !options.box)) {
+        logger.info(nearbyCommand.usage.join('\n'));
+        if (!options.help) process.exit(1);
+        return;
+    }
+    
+    const result = queryNearby(loadSpatialIndex(), loadStarMap(), loadStellarLabels(), options);
+    
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+    
+    const around = result.origin ? result.origin.name : `(${result.point?.join(', ')}) ly`;
+    const { query } = result;
+    const title = query.type === 'box' ? `Systems between (${query.min.join(', ')}) and (${query.max.join(', ')}) ly` :
+        query.type === 'radius' ? `Systems within ${query.radiusLy} ly of ${around}` :
+        `${query.k} nearest systems to ${around}`;
+    
+    logger.info(`\n📍 ${title}`);
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    for (const system of result.systems) {
+        const distance = system.distanceLy === null ? '' : `${system.distanceLy.toFixed(2).padStart(9)} ly`;
+        logger.info(`   ${system.name.padEnd(24)} ${String(system.id).padEnd(10)} ${distance}`);
+    }
+    logger.info(`\n   ${result.count} systems`);
+}
+
+export const nearbyCommand = {
+    name: 'nearby',
+    summary: 'Nearest systems, systems within a radius, or systems in a box',
+    usage: [
+        'Usage: npm run tools -- nearby <system> [options]',
+        '       npm run tools -- nearby --point <x,y,z> [options]',
+        '       npm run tools -- nearby --box <minX,minY,minZ,maxX,maxY,maxZ>',
+        '',
+        'Systems are given by name or ID; coordinates and distances are in light-years.',
+        '',
+        'Options:',
+        '  --k <n>              The n nearest systems (default: 10)',
+        '  --radius <ly>        All systems within this distance',
+        '  --point <x,y,z>      Search around a point instead of a system',
+        '  --box <min,max>      All systems inside an axis-aligned box',
+        '  --units-per-ly <n>   Coordinate units in one light-year (default: stellar.unitsPerLightYear',
+        '                       in eve-frontier-tools.config.json, or meters)',
+        '  --json               Print the results as JSON'
+    ],
+    run: runNearbyCommand
+};
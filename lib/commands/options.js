@@ -0,0 +1,31 @@
+/**
+ * Option helpers shared by the tools.js commands
+ */
+
+import { loadProjectConfig } from '../utils.js';
+import { DEFAULT_UNITS_PER_LIGHT_YEAR } from '../stellar/routes.js';
+
+/**
+ * Split a comma-separated option value
+ */
+export function splitList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse comma-separated numbers, requiring exactly `count` of them
+ */
+export function parseNumbers(value, count, optionName) {
+    const numbers = splitList(value).map(Number);
+    if (numbers.length !== count || numbers.some(Number.isNaN)) {
+        throw new Error(`${optionName} expects ${count} comma-separated numbers`);
+    }
+    return numbers;
+}
+
+/**
+ * Coordinate units in one light-year, from eve-frontier-tools.config.json
+ */
+export function configuredUnitsPerLightYear() {
+    return loadProjectConfig().stellar?.unitsPerLightYear || DEFAULT_UNITS_PER_LIGHT_YEAR;
+}
@@ -0,0 +1,116 @@
+/**
+ * Render Command - Write an SVG image of the star map from the extracted data
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger, projectRoot } from '../utils.js';
+import { loadStarMap, loadStellarLabels } from '../stellar/star-map.js';
+import { renderStarMap, parseProjection, COLOR_MODES, LABEL_LAYERS } from '../stellar/svg-map.js';
+import { splitList } from './options.js';
+
+const DEFAULT_OUTPUT = 'data/extracted/stellar_map.svg';
+
+function parseRenderArgs(args) {
+    const options = {
+        projection: 'top',
+        colorBy: 'region',
+        gates: true,
+        labelLayers: [],
+        regions: [],
+        constellations: [],
+        width: 2000,
+        output: DEFAULT_OUTPUT,
+        help: false
+    };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        
+        switch (arg) {
+            case '--projection':
+                options.projection = args[++i];
+                break;
+            case '--color':
+                options.colorBy = args[++i];
+                break;
+            case '--no-gates':
+                options.gates = false;
+                break;
+            case '--labels':
+                options.labelLayers = splitList(args[++i]);
+                if (options.labelLayers.includes('all')) options.labelLayers = [...LABEL_LAYERS];
+                break;
+            case '--region':
+                options.regions.push(...splitList(args[++i]));
+                break;
+            case '--constellation':
+                options.constellations.push(...splitList(args[++i]));
+                break;
+            case '--width':
+                options.width = parseInt(args[++i]) || options.width;
+                break;
+            case '--output':
+            case '-o':
+                options.output = args[++i];
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    
+    return options;
+}
+
+async function runRenderCommand(args) {
+    const options = parseRenderArgs(args);
+    if (options.help) {
+        logger.info(renderCommand.usage.join('\n'));
+        return;
+    }
+    
+    const starMap = loadStarMap();
+    const filtered = options.regions.length > 0 || options.constellations.length > 0;
+    const systemIds = filtered ?
+        starMap.expandSystems({ regions: options.regions, constellations: options.constellations }) :
+        null;
+    
+    const result = renderStarMap(starMap, loadStellarLabels(), {
+        projection: parseProjection(options.projection),
+        colorBy: options.colorBy,
+        gates: options.gates,
+        labelLayers: options.labelLayers,
+        systemIds,
+        width: options.width
+    });
+    
+    const outputPath = path.resolve(projectRoot, options.output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, result.svg);
+    
+    logger.success(`Rendered ${result.systems} systems and ${result.gates} gate connections (${result.width}x${result.height})`);
+    logger.info(`Saved to ${path.relative(projectRoot, outputPath)}`);
+}
+
+export const renderCommand = {
+    name: 'render',
+    summary: 'Write an SVG image of the star map',
+    usage: [
+        'Usage: npm run tools -- render [options]',
+        '',
+        'Options:',
+        '  --projection <view>     top, side, front, or <yaw>,<pitch> in degrees (default: top)',
+        `  --color <mode>          Colour systems by ${COLOR_MODES.join(', ')} (default: region)`,
+        '  --no-gates              Leave out stargate connections',
+        `  --labels <layers>       Label layers, comma-separated: ${LABEL_LAYERS.join(', ')}, or all`,
+        '  --region <names>        Only render these regions (names or IDs, comma-separated)',
+        '  --constellation <names> Only render these constellations',
+        '  --width <px>            Length of the longer side (default: 2000)',
+        `  --output, -o <file>     Output file (default: ${DEFAULT_OUTPUT})`
+    ],
+    run: runRenderCommand
+};
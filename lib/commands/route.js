@@ -0,0 +1,183 @@
+/**
+ * Route Commands - Shortest routes between two systems, through stargates
+ * only (route) or also jumping between systems in range (jump-route)
+ */
+
+import { logger } from '../utils.js';
+import { loadStarMap } from '../stellar/star-map.js';
+import { planGateRoute, planJumpRoute, DEFAULT_UNITS_PER_LIGHT_YEAR } from '../stellar/routes.js';
+import { splitList, configuredUnitsPerLightYear } from './options.js';
+
+// Options only jump-route understands
+const JUMP_OPTIONS = ['--range', '--optimize', '--jumps-only', '--units-per-ly'];
+
+function parseRouteArgs(args, { jumps = false } = {}) {
+    const options = {
+        from: null,
+        to: null,
+        via: [],
+        avoid: { systems: [], constellations: [], regions: [] },
+        maxJump: null,
+        optimize: 'hops',
+        useGates: true,
+        unitsPerLightYear: configuredUnitsPerLightYear(),
+        json: false,
+        help: false
+    };
+    const positional = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        
+        if (!jumps && JUMP_OPTIONS.includes(arg)) {
+            throw new Error(`${arg} is only available with jump-route`);
+        }
+        
+        switch (arg) {
+            case '--via':
+                options.via.push(...splitList(args[++i]));
+                break;
+            case '--avoid-systems':
+                options.avoid.systems.push(...splitList(args[++i]));
+                break;
+            case '--avoid-constellations':
+                options.avoid.constellations.push(...splitList(args[++i]));
+                break;
+            case '--avoid-regions':
+                options.avoid.regions.push(...splitList(args[++i]));
+                break;
+            case '--range':
+                options.maxJump = parseFloat(args[++i]) || null;
+                break;
+            case '--optimize':
+                options.optimize = args[++i];
+                break;
+            case '--jumps-only':
+                options.useGates = false;
+                break;
+            case '--units-per-ly':
+                options.unitsPerLightYear = parseFloat(args[++i]) || options.unitsPerLightYear;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+    
+    [options.from, options.to] = positional;
+    return options;
+}
+
+/**
+ * Log a route as one line per system
+ */
+export function logRoute(route, title) {
+    logger.info(`\n🧭 ${title}`);
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    
+    const showLegs = route.hops.some(hop => hop.mode);
+    
+    route.hops.forEach((hop, index) => {
+        const location = [hop.constellation?.name, hop.region?.name].filter(Boolean).join(' / ');
+        const marker = hop.stop ? ` [${hop.stop}]` : '';
+        const leg = !showLegs ? '' :
+            hop.mode ? `${hop.mode.padEnd(4)} ${hop.distanceLy.toFixed(2).padStart(7)} ly  ` : ' '.repeat(17);
+        logger.info(`   ${String(index).padStart(3)}  ${leg}${hop.name.padEnd(20)} ${location}${marker}`);
+        
+        if (hop.transition === 'region') {
+            logger.info(`        ↳ enters region ${hop.region?.name}`);
+        }
+    });
+    
+    const regionChanges = route.transitions.filter(transition => transition.type === 'region').length;
+    logger.info(`\n   ${route.transitions.length} constellation/region transitions (${regionChanges} region changes)`);
+}
+
+async function runRouteCommand(args) {
+    const options = parseRouteArgs(args);
+    if (options.help || !options.from || !options.to) {
+        logger.info(routeCommand.usage.join('\n'));
+        if (!options.help) process.exit(1);
+        return;
+    }
+    
+    const starMap = loadStarMap();
+    const route = planGateRoute(starMap, options);
+    
+    if (options.json) {
+        console.log(JSON.stringify(route, null, 2));
+        return;
+    }
+    
+    logRoute(route, `Route: ${route.from.name} → ${route.to.name} (${route.jumps} jumps)`);
+}
+
+async function runJumpRouteCommand(args) {
+    const options = parseRouteArgs(args, { jumps: true });
+    if (options.help || !options.from || !options.to || !options.maxJump) {
+        logger.info(jumpRouteCommand.usage.join('\n'));
+        if (!options.help) process.exit(1);
+        return;
+    }
+    
+    const starMap = loadStarMap();
+    const route = planJumpRoute(starMap, options);
+    
+    if (options.json) {
+        console.log(JSON.stringify(route, null, 2));
+        return;
+    }
+    
+    logRoute(route, `Route: ${route.from.name} → ${route.to.name} (${route.legs} legs, ${route.totalDistanceLy.toFixed(2)} ly)`);
+    logger.info(`   ${route.rangeJumps} range jumps (longest ${route.longestJumpLy.toFixed(2)} ly), ${route.gateJumps} gate jumps`);
+}
+
+export const routeCommand = {
+    name: 'route',
+    summary: 'Shortest stargate route between two systems',
+    usage: [
+        'Usage: npm run tools -- route <from> <to> [options]',
+        '',
+        'Systems are given by name or ID.',
+        '',
+        'Options:',
+        '  --via <systems>                Waypoints to pass through, in order (comma-separated)',
+        '  --avoid-systems <systems>      Systems to route around',
+        '  --avoid-constellations <list>  Constellations to route around',
+        '  --avoid-regions <list>         Regions to route around',
+        '  --json                         Print the route as JSON'
+    ],
+    run: runRouteCommand
+};
+
+export const jumpRouteCommand = {
+    name: 'jump-route',
+    summary: 'Route mixing stargates and jumps up to a distance in light-years',
+    usage: [
+        'Usage: npm run tools -- jump-route <from> <to> --range <ly> [options]',
+        '',
+        'Systems are given by name or ID.',
+        '',
+        'Options:',
+        '  --range <ly>                   Maximum jump distance in light-years (required)',
+        '  --optimize <hops|distance>     Fewest legs, or shortest total distance (default: hops)',
+        '  --jumps-only                   Do not use stargates',
+        '  --units-per-ly <n>             Coordinate units in one light-year (default: stellar.unitsPerLightYear',
+        `                                 in eve-frontier-tools.config.json, or ${DEFAULT_UNITS_PER_LIGHT_YEAR} meters)`,
+        '  --via <systems>                Waypoints to pass through, in order (comma-separated)',
+        '  --avoid-systems <systems>      Systems to route around',
+        '  --avoid-constellations <list>  Constellations to route around',
+        '  --avoid-regions <list>         Regions to route around',
+        '  --json                         Print the route as JSON'
+    ],
+    run: runJumpRouteCommand
+};
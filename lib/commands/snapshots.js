@@ -0,0 +1,149 @@
+/**
+ * Snapshots Command - List, restore and prune the versioned copies of
+ * data/extracted taken by pipeline runs
+ */
+
+import path from 'path';
+import { logger, projectRoot, loadProjectConfig } from '../utils.js';
+import { listSnapshots, restoreSnapshot, pruneSnapshots, snapshotRoot } from '../snapshots.js';
+
+const DEFAULT_KEEP = 5;
+
+function parseSnapshotsArgs(args) {
+    const options = {
+        action: null,
+        target: null,
+        keep: loadProjectConfig().snapshots?.keep ?? DEFAULT_KEEP,
+        perBuild: false,
+        dryRun: false,
+        json: false,
+        help: false
+    };
+    const positional = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        
+        switch (arg) {
+            case '--keep':
+                options.keep = parseInt(args[++i]);
+                break;
+            case '--per-build':
+                options.perBuild = true;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+    
+    [options.action = 'list', options.target = null] = positional;
+    return options;
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)}MB` : `${(bytes / 1024).toFixed(1)}KB`;
+}
+
+function describeSnapshot(snapshot) {
+    const version = snapshot.build?.version ? ` v${snapshot.build.version}` : '';
+    const label = snapshot.label ? `  [${snapshot.label}]` : '';
+    return `${snapshot.id.padEnd(44)} build ${snapshot.build?.build ?? 'unknown'}${version}, ` +
+        `${snapshot.fileCount} files, ${formatSize(snapshot.totalSize)}${label}`;
+}
+
+function summarize(snapshot) {
+    const { files, directory, ...summary } = snapshot;
+    return { ...summary, directory: path.relative(projectRoot, directory) };
+}
+
+async function runSnapshotsCommand(args) {
+    const options = parseSnapshotsArgs(args);
+    if (options.help) {
+        logger.info(snapshotsCommand.usage.join('\n'));
+        return;
+    }
+    
+    switch (options.action) {
+        case 'list': {
+            const snapshots = listSnapshots();
+            if (options.json) {
+                console.log(JSON.stringify(snapshots.map(summarize), null, 2));
+                return;
+            }
+            logger.info(`\n🗄️  ${snapshots.length} snapshots in ${path.relative(projectRoot, snapshotRoot())}`);
+            logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+            for (const snapshot of snapshots) {
+                logger.info(`   ${describeSnapshot(snapshot)}`);
+            }
+            return;
+        }
+        
+        case 'restore': {
+            if (!options.target) {
+                throw new Error('restore needs a snapshot: an ID, build number or "latest"');
+            }
+            const { snapshot, archived, forgotten } = await restoreSnapshot(options.target);
+            if (archived) {
+                logger.info(`Archived the previous data as ${archived.id}`);
+            }
+            logger.success(`Restored ${snapshot.fileCount} files from ${snapshot.id} to data/extracted`);
+            if (forgotten.length > 0) {
+                logger.info(`The next pipeline run rebuilds ${forgotten.length} cached steps (${forgotten.map(item => item.replace('steps:', '')).join(', ')})`);
+            }
+            return;
+        }
+        
+        case 'prune': {
+            const { kept, removed } = pruneSnapshots({ keep: options.keep, perBuild: options.perBuild, dryRun: options.dryRun });
+            if (options.json) {
+                console.log(JSON.stringify({ dryRun: options.dryRun, kept: kept.map(summarize), removed: removed.map(summarize) }, null, 2));
+                return;
+            }
+            for (const snapshot of removed) {
+                logger.info(`   ${options.dryRun ? 'would remove' : 'removed'} ${describeSnapshot(snapshot)}`);
+            }
+            const scope = options.perBuild ? ' per build' : '';
+            logger.success(`${options.dryRun ? 'Would remove' : 'Removed'} ${removed.length} snapshots, keeping ${kept.length} (newest ${options.keep}${scope})`);
+            return;
+        }
+        
+        default:
+            throw new Error(`Unknown snapshots action: ${options.action} (list, restore, prune)`);
+    }
+}
+
+export const snapshotsCommand = {
+    name: 'snapshots',
+    summary: 'List, restore and prune archived extractions',
+    usage: [
+        'Usage: npm run tools -- snapshots [list | restore <snapshot> | prune] [options]',
+        '',
+        'Every pipeline run archives data/extracted to snapshots/<build>_<time>, unless nothing changed.',
+        'A snapshot is named by its ID, a unique start of its ID, its build number (newest of that build) or "latest".',
+        '',
+        'Actions:',
+        '  list                 Snapshots, oldest first (default)',
+        '  restore <snapshot>   Replace data/extracted with the snapshot, after checking it against its manifest',
+        '  prune                Remove all but the newest snapshots',
+        '',
+        'Options:',
+        `  --keep <n>           Snapshots prune keeps (default: snapshots.keep in the config, or ${DEFAULT_KEEP})`,
+        '  --per-build          Keep the newest n of every build instead of overall',
+        '  --dry-run            Show what prune would remove',
+        '  --json               Print snapshots as JSON'
+    ],
+    run: runSnapshotsCommand
+};
@@ -0,0 +1,247 @@
+/**
+ * FSD Binary Reader - Decode FSDBinary data in pure JavaScript
+ * 
+ * Walks an FSDBinary buffer using its schema, mirroring what the game's
+ * compiled Loader modules do. Layout of each schema type (little-endian):
+ * 
+ *   int/typeID/...ID  int32          long     int64
+ *   float            float32        (float64 when precision is 'double')
+ *   bool             uint8          enum     int32
+ *   vector2/3/4      2/3/4 floats   (doubles when precision is 'double')
+ *   string/resPath   uint32 byte length + UTF-8 bytes
+ *   list             uint32 count, then fixed-size items inline or a table
+ *                    of uint32 item offsets relative to the list start
+ *   dict             uint32 count, then (key, uint32 value offset) pairs
+ *                    sorted by key; offsets are relative to the dict start
+ *   object           fixed-size attributes at constantAttributeOffsets,
+ *                    an optional-attribute bitfield at endOfFixedSizeData,
+ *                    then a uint32 offset table for variable attributes
+ *   union            uint32 option index, then the chosen option's value
+ */
+
+const INTEGER_TYPES = new Set(['int', 'typeID', 'localizationID', 'npcTag', 'deploymentType', 'npcEquipmentID']);
+const VECTOR_LENGTHS = { vector2: 2, vector3: 3, vector4: 4 };
+
+/**
+ * Check whether a schema type decodes as a 32-bit integer
+ */
+function isIntegerType(type) {
+    return INTEGER_TYPES.has(type) || /ID$/.test(type);
+}
+
+/**
+ * Byte size of a schema value when it is fixed, otherwise null
+ */
+export function fixedSize(schema) {
+    if (schema.size !== undefined) return schema.size;
+    
+    const type = schema.type;
+    const double = schema.precision === 'double';
+    
+    if (isIntegerType(type) || type === 'enum') return 4;
+    if (type === 'long') return 8;
+    if (type === 'bool') return 1;
+    if (type === 'float') return double ? 8 : 4;
+    if (VECTOR_LENGTHS[type]) return VECTOR_LENGTHS[type] * (double ? 8 : 4);
+    if (type === 'object' && !schema.attributesWithVariableOffsets?.length && !schema.optionalValueLookups) {
+        return schema.endOfFixedSizeData ?? null;
+    }
+    
+    return null;
+}
+
+/**
+ * Decoder for a single FSDBinary buffer
+ */
+export class FSDReader {
+    /**
+     * @param {Buffer} buffer - FSDBinary data, without any embedded schema
+     * @param {Object} [options]
+     * @param {Object} [options.strings] - Localization table used to resolve *NameID fields
+     */
+    constructor(buffer, options = {}) {
+        this.buffer = buffer;
+        this.strings = options.strings || null;
+        this.vectorFields = new Set();
+        this.unsupported = new Map();
+    }
+    
+    /**
+     * Decode the root value of the buffer
+     */
+    decode(schema) {
+        return this.read(schema, 0, null, '');
+    }
+    
+    read(schema, offset, key, fieldPath) {
+        const type = schema.type;
+        const double = schema.precision === 'double';
+        
+        if (isIntegerType(type) || type === 'enum') {
+            const value = this.buffer.readInt32LE(offset);
+            return this.resolveName(key, value);
+        }
+        
+        switch (type) {
+            case 'long':
+                return Number(this.buffer.readBigInt64LE(offset));
+            case 'bool':
+                return this.buffer.readUInt8(offset) !== 0;
+            case 'float':
+                return double ? this.buffer.readDoubleLE(offset) : this.buffer.readFloatLE(offset);
+            case 'vector2':
+            case 'vector3':
+            case 'vector4':
+                this.vectorFields.add(fieldPath);
+                return this.readVector(VECTOR_LENGTHS[type], double, offset);
+            case 'string':
+            case 'resPath':
+                return this.readString(offset);
+            case 'list':
+                return this.readList(schema, offset, fieldPath);
+            case 'dict':
+                return this.readDict(schema, offset, fieldPath);
+            case 'object':
+                return this.readObject(schema, offset, fieldPath);
+            case 'union':
+                return this.readUnion(schema, offset, key, fieldPath);
+            default:
+                this.unsupported.set(fieldPath, type);
+                return null;
+        }
+    }
+    
+    readVector(length, double, offset) {
+        const width = double ? 8 : 4;
+        const values = [];
+        for (let i = 0; i < length; i++) {
+            values.push(double ? this.buffer.readDoubleLE(offset + i * width) : this.buffer.readFloatLE(offset + i * width));
+        }
+        return values;
+    }
+    
+    readString(offset) {
+        const length = this.buffer.readUInt32LE(offset);
+        return this.buffer.toString('utf8', offset + 4, offset + 4 + length);
+    }
+    
+    readList(schema, offset, fieldPath) {
+        const count = this.buffer.readUInt32LE(offset);
+        const itemSchema = schema.itemTypes;
+        const itemSize = fixedSize(itemSchema);
+        const itemPath = `${fieldPath}[]`;
+        const items = [];
+        
+        for (let i = 0; i < count; i++) {
+            const itemOffset = itemSize !== null ?
+                offset + 4 + i * itemSize :
+                offset + this.buffer.readUInt32LE(offset + 4 + i * 4);
+            items.push(this.read(itemSchema, itemOffset, null, itemPath));
+        }
+        
+        return items;
+    }
+    
+    readDict(schema, offset, fieldPath) {
+        const count = this.buffer.readUInt32LE(offset);
+        const keySchema = schema.keyTypes;
+        const keySize = fixedSize(keySchema) ?? 4;
+        const entrySize = keySize + 4;
+        const valuePath = `${fieldPath}{}`;
+        const result = {};
+        
+        for (let i = 0; i < count; i++) {
+            const entryOffset = offset + 4 + i * entrySize;
+            const dictKey = fixedSize(keySchema) !== null ?
+                this.read(keySchema, entryOffset, null, `${fieldPath}<key>`) :
+                this.readString(offset + this.buffer.readUInt32LE(entryOffset));
+            const valueOffset = offset + this.buffer.readUInt32LE(entryOffset + keySize);
+            
+            result[dictKey] = this.read(schema.valueTypes, valueOffset, null, valuePath);
+        }
+        
+        return result;
+    }
+    
+    readObject(schema, offset, fieldPath) {
+        const attributes = schema.attributes || {};
+        const constantOffsets = schema.constantAttributeOffsets || {};
+        const variableAttributes = schema.attributesWithVariableOffsets || [];
+        const optionalLookups = schema.optionalValueLookups || null;
+        const result = {};
+        const messageIds = {};
+        
+        // Name fields keep their message ID in _messageIDs, as the Python loader does, for other locales
+        const readAttribute = (name, attributeOffset) => {
+            const attributePath = joinPath(fieldPath, name);
+            if (!this.strings || !isNameIdField(name)) {
+                return this.read(attributes[name], attributeOffset, name, attributePath);
+            }
+            const messageId = this.read(attributes[name], attributeOffset, null, attributePath);
+            if (typeof messageId === 'number') messageIds[name] = messageId;
+            return this.resolveName(name, messageId);
+        };
+        
+        let variableBase = offset + (schema.endOfFixedSizeData || 0);
+        let presentBits = null;
+        if (optionalLookups) {
+            presentBits = this.buffer.readUInt32LE(variableBase);
+            variableBase += 4;
+        }
+        
+        const isPresent = name =>
+            !optionalLookups || optionalLookups[name] === undefined || (presentBits & (1 << optionalLookups[name])) !== 0;
+        
+        for (const [name, attributeOffset] of Object.entries(constantOffsets)) {
+            if (!isPresent(name)) continue;
+            result[name] = readAttribute(name, offset + attributeOffset);
+        }
+        
+        // Variable attributes that are present share one offset table
+        const present = variableAttributes.filter(isPresent);
+        const dataBase = variableBase + present.length * 4;
+        present.forEach((name, index) => {
+            const attributeOffset = this.buffer.readUInt32LE(variableBase + index * 4);
+            result[name] = readAttribute(name, dataBase + attributeOffset);
+        });
+        
+        if (Object.keys(messageIds).length > 0) {
+            result._messageIDs = messageIds;
+        }
+        
+        // Vectors otherwise look like plain lists of numbers
+        const vectorFields = Object.keys(result).filter(name => VECTOR_LENGTHS[attributes[name]?.type] && result[name] !== null);
+        if (vectorFields.length > 0) {
+            result._vectorFields = vectorFields.sort();
+        }
+        return result;
+    }
+    
+    readUnion(schema, offset, key, fieldPath) {
+        const optionIndex = this.buffer.readUInt32LE(offset);
+        const option = (schema.optionTypes || [])[optionIndex];
+        if (!option) {
+            this.unsupported.set(fieldPath, `union[${optionIndex}]`);
+            return null;
+        }
+        return this.read(option, offset + 4, key, fieldPath);
+    }
+    
+    /**
+     * Resolve *NameID fields through the localization table, as the Python loader does
+     */
+    resolveName(key, value) {
+        if (!this.strings || !isNameIdField(key)) return value;
+        
+        const entry = this.strings[value];
+        return Array.isArray(entry) ? entry[0] : value;
+    }
+}
+
+function isNameIdField(key) {
+    return typeof key === 'string' && key.toLowerCase().endsWith('nameid') && key !== 'dungeonNameID';
+}
+
+function joinPath(parent, name) {
+    return parent ? `${parent}.${name}` : name;
+}
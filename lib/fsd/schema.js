@@ -0,0 +1,72 @@
+/**
+ * FSD Schema Loader - Read .schema files that describe FSDBinary layouts
+ * 
+ * Schemas are the same nested type descriptions the game's Loader modules
+ * are compiled from. They ship either pickled or as JSON, and some
+ * FSDBinary files carry their schema inline ahead of the data.
+ */
+
+import fs from 'fs';
+
+const PICKLE_PROTOCOL_MARKER = 0x80;
+
+/**
+ * Decode a schema from a buffer, detecting pickle vs JSON encoding
+ */
+export async function parseSchema(buffer) {
+    if (buffer[0] === PICKLE_PROTOCOL_MARKER) {
+        const { Parser } = await import('pickleparser');
+        return normalizeSchema(new Parser().parse(buffer));
+    }
+    
+    return normalizeSchema(JSON.parse(buffer.toString('utf8')));
+}
+
+/**
+ * Load and decode a .schema file
+ */
+export async function loadSchema(schemaPath) {
+    return parseSchema(await fs.promises.readFile(schemaPath));
+}
+
+/**
+ * Split an FSDBinary buffer that starts with an embedded pickled schema
+ * 
+ * Layout: uint32 schema size, pickled schema, data. Returns null when the
+ * buffer does not start with an embedded schema.
+ */
+export async function extractEmbeddedSchema(buffer) {
+    if (buffer.length < 5) return null;
+    
+    const schemaSize = buffer.readUInt32LE(0);
+    if (buffer[4] !== PICKLE_PROTOCOL_MARKER || schemaSize + 4 > buffer.length) {
+        return null;
+    }
+    
+    try {
+        const schema = await parseSchema(buffer.subarray(4, 4 + schemaSize));
+        return { schema, data: buffer.subarray(4 + schemaSize) };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Convert pickled Maps and nested structures into plain objects
+ */
+function normalizeSchema(value) {
+    if (value instanceof Map) {
+        return Object.fromEntries(
+            Array.from(value.entries()).map(([key, entry]) => [key, normalizeSchema(entry)])
+        );
+    }
+    if (Array.isArray(value)) {
+        return value.map(normalizeSchema);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, entry]) => [key, normalizeSchema(entry)])
+        );
+    }
+    return value;
+}
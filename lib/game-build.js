@@ -0,0 +1,64 @@
+/**
+ * Game Build - Which client build the extracted data comes from
+ * 
+ * The client's start.ini (in the stillness directory, next to bin64) names the
+ * build and version. The index files list every resource of a build, so their
+ * hashes tell builds apart even when start.ini is missing or unchanged.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { hashFile } from './build-cache.js';
+
+export const BUILD_INFO_FILE = 'data/extracted/build_info.json';
+
+const START_INI = path.join('stillness', 'start.ini');
+
+/**
+ * Keys of an ini file, lowercased; later sections override earlier ones
+ */
+function parseIni(text) {
+    const values = {};
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^\s*([^#;[=][^=]*?)\s*=\s*(.*?)\s*$/);
+        if (match) values[match[1].toLowerCase()] = match[2];
+    }
+    return values;
+}
+
+/**
+ * Identify the installed client build
+ * 
+ * @param {string} eveFrontierPath - Installation directory
+ * @param {Array<{name: string, path: string}>} indexFiles - Index files read by the index step
+ * @returns {Promise<Object>} build (start.ini build number, or index-<hash> without one),
+ *     version, codename, server, source and the size and hash of each index file
+ */
+export async function readBuildInfo(eveFrontierPath, indexFiles) {
+    const startIniPath = path.join(eveFrontierPath, START_INI);
+    const startIni = fs.existsSync(startIniPath) ? parseIni(fs.readFileSync(startIniPath, 'utf8')) : {};
+    
+    const indexes = [];
+    for (const indexFile of indexFiles) {
+        if (!fs.existsSync(indexFile.path)) continue;
+        indexes.push({
+            name: indexFile.name,
+            size: fs.statSync(indexFile.path).size,
+            sha1: await hashFile(indexFile.path)
+        });
+    }
+    const indexHash = indexes.length > 0 ?
+        crypto.createHash('sha1').update(indexes.map(index => index.sha1).join('')).digest('hex').slice(0, 12) :
+        null;
+    
+    return {
+        build: startIni.build || (indexHash ? `index-${indexHash}` : 'unknown'),
+        version: startIni.version ?? null,
+        codename: startIni.codename ?? null,
+        server: startIni.server ?? null,
+        source: startIni.build ? START_INI.replace(/\\/g, '/') : 'index files',
+        indexFiles: indexes,
+        recordedAt: new Date().toISOString()
+    };
+}
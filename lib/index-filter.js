@@ -0,0 +1,150 @@
+/**
+ * Index Filter - Which index entries the index step links
+ * 
+ * Entries are selected by logical path glob and by filetype:
+ * 
+ *   include           Globs; when given, only matching paths are linked
+ *   exclude           Globs; matching paths are never linked
+ *   filetypes         When given, only these filetypes are linked
+ *   excludeFiletypes  These filetypes are never linked
+ * 
+ * Globs match the whole logical path, case-insensitively: * and ? stay within
+ * one directory, ** crosses directories and {a,b} matches either alternative,
+ * e.g. "res:/staticdata/**" or "res:/ui/texture/**.{png,dds}".
+ * 
+ * Settings come from the index section of eve-frontier-tools.config.json;
+ * pipeline options given on the command line replace the configured ones.
+ */
+
+import { loadProjectConfig } from './utils.js';
+
+export const INDEX_FILTER_KEYS = ['include', 'exclude', 'filetypes', 'excludeFiletypes'];
+
+/**
+ * Regular expression matching the same paths as a glob
+ */
+export function globToRegExp(glob) {
+    let pattern = '';
+    let braces = 0;
+    
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" also matches no directory at all
+            if (glob[i + 2] === '/') {
+                pattern += '(?:.*/)?';
+                i += 2;
+            } else {
+                pattern += '.*';
+                i++;
+            }
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else if (char === '{') {
+            pattern += '(?:';
+            braces++;
+        } else if (char === '}' && braces > 0) {
+            pattern += ')';
+            braces--;
+        } else if (char === ',' && braces > 0) {
+            pattern += '|';
+        } else {
+            pattern += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+        }
+    }
+    if (braces > 0) {
+        throw new Error(`Unclosed { in index filter "${glob}"`);
+    }
+    
+    return new RegExp(`^${pattern}$`, 'i');
+}
+
+/**
+ * Split a comma-separated list of globs, keeping commas inside {a,b}
+ */
+export function splitGlobList(value) {
+    const globs = [];
+    let current = '';
+    let braces = 0;
+    for (const char of value || '') {
+        if (char === ',' && braces === 0) {
+            globs.push(current.trim());
+            current = '';
+            continue;
+        }
+        if (char === '{') braces++;
+        if (char === '}') braces--;
+        current += char;
+    }
+    globs.push(current.trim());
+    return globs.filter(Boolean);
+}
+
+const normalizeFiletype = filetype => filetype.trim().replace(/^\*?\./, '').toLowerCase();
+
+/**
+ * Filter settings from the config file, overridden by command line options
+ * 
+ * @param {Object} [cliFilters] - Settings given on the command line (INDEX_FILTER_KEYS)
+ */
+export function resolveIndexFilters(cliFilters = {}) {
+    const configured = loadProjectConfig().index || {};
+    const filters = {};
+    for (const key of INDEX_FILTER_KEYS) {
+        const value = cliFilters[key] ?? configured[key] ?? [];
+        if (!Array.isArray(value)) {
+            throw new Error(`index.${key} in eve-frontier-tools.config.json must be a list`);
+        }
+        filters[key] = key.toLowerCase().includes('filetypes') ?
+            value.map(normalizeFiletype).filter(Boolean) :
+            value.filter(Boolean);
+    }
+    return filters;
+}
+
+/**
+ * Whether any filter is set
+ */
+export function hasIndexFilters(filters) {
+    return INDEX_FILTER_KEYS.some(key => filters[key]?.length > 0);
+}
+
+/**
+ * Build the test for index entries, remembering which globs matched anything
+ * 
+ * @returns {{ accepts: Function, unusedGlobs: Function }} accepts(logicalPath, filetype)
+ *     and the include and exclude globs that have not matched a path so far
+ */
+export function createIndexFilter(filters) {
+    const compile = globs => globs.map(glob => ({ glob, regex: globToRegExp(glob), matched: false }));
+    const include = compile(filters.include);
+    const exclude = compile(filters.exclude);
+    const filetypes = new Set(filters.filetypes);
+    const excludeFiletypes = new Set(filters.excludeFiletypes);
+    
+    const anyMatch = (globs, logicalPath) => {
+        let found = false;
+        for (const entry of globs) {
+            if (entry.regex.test(logicalPath)) {
+                entry.matched = true;
+                found = true;
+            }
+        }
+        return found;
+    };
+    
+    return {
+        accepts(logicalPath, filetype) {
+            const type = filetype.toLowerCase();
+            if (filetypes.size > 0 && !filetypes.has(type)) return false;
+            if (excludeFiletypes.has(type)) return false;
+            if (include.length > 0 && !anyMatch(include, logicalPath)) return false;
+            return !anyMatch(exclude, logicalPath);
+        },
+        unusedGlobs() {
+            return [...include, ...exclude].filter(entry => !entry.matched).map(entry => entry.glob);
+        }
+    };
+}
@@ -0,0 +1,141 @@
+/**
+ * Index Manifest - Every resource listed in the client's index files
+ * 
+ * index_stillness.txt and resfileindex.txt have one line per resource:
+ * 
+ *   res:/ui/texture/icons/7_64_1.png,a1/a1b2c3d4_7_64_1.png,<md5>,<size>,<compressed size>
+ * 
+ * logical path, file under ResFiles, content hash, size and compressed size.
+ * The index step keeps these per index file in index_manifest.json, and
+ * compareIndexManifests tells which resources a patch added, removed or changed.
+ */
+
+export const INDEX_MANIFEST_FILE = 'data/extracted/index_manifest.json';
+
+// Order of the values stored for each resource
+export const MANIFEST_COLUMNS = ['physicalPath', 'hash', 'size', 'compressedSize'];
+
+// logical path (directory, name, filetype), physical path, remaining columns
+const INDEX_LINE = /^(.*?)([^\/]+)\.([^,]+),([^,]+)(.*)$/;
+
+function parseSize(value) {
+    const size = parseInt(value);
+    return Number.isNaN(size) ? null : size;
+}
+
+/**
+ * Parse one index line, or null when it is not a resource entry
+ * 
+ * @returns {{logicalPath, respath, filename, filetype, physicalPath, hash, size, compressedSize}|null}
+ */
+export function parseIndexLine(line) {
+    const match = line.match(INDEX_LINE);
+    if (!match) return null;
+    
+    const [, respath, filename, filetype, physicalPath, rest] = match;
+    const [hash, size, compressedSize] = rest.split(',').slice(1);
+    return {
+        logicalPath: `${respath}${filename}.${filetype}`,
+        respath,
+        filename,
+        filetype,
+        physicalPath,
+        hash: hash || null,
+        size: parseSize(size),
+        compressedSize: parseSize(compressedSize)
+    };
+}
+
+/**
+ * Manifest entry of a parsed line, in MANIFEST_COLUMNS order
+ */
+export function manifestEntry(entry) {
+    return MANIFEST_COLUMNS.map(column => entry[column]);
+}
+
+/**
+ * Lowercase filetype of a logical path, e.g. 'fsdbinary'
+ */
+export function filetypeOf(logicalPath) {
+    const name = logicalPath.slice(logicalPath.lastIndexOf('/') + 1);
+    return name.includes('.') ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : '';
+}
+
+function describe(index, logicalPath, values) {
+    const [physicalPath, hash, size] = values;
+    return { index, logicalPath, filetype: filetypeOf(logicalPath), physicalPath, hash, size };
+}
+
+/**
+ * Resources added, removed and changed between two index manifests
+ * 
+ * A resource is identified by its index file and logical path, and counts
+ * as changed when its hash differs (or, without hashes, its file or size).
+ * 
+ * @param {Object} before - Older manifest
+ * @param {Object} after - Newer manifest
+ * @param {Object} [options]
+ * @param {Function} [options.include] - Compare only logical paths it returns true for
+ * @returns {Object} added, removed and changed resources, counts per filetype,
+ *     the change in total size and index files only one manifest has
+ */
+export function compareIndexManifests(before, after, { include = () => true } = {}) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+    const onlyIn = { before: [], after: [] };
+    
+    const indexNames = new Set([...Object.keys(before.indexes), ...Object.keys(after.indexes)]);
+    for (const index of indexNames) {
+        const oldResources = before.indexes[index]?.resources;
+        const newResources = after.indexes[index]?.resources;
+        if (!oldResources || !newResources) {
+            onlyIn[oldResources ? 'before' : 'after'].push(index);
+            continue;
+        }
+        
+        for (const [logicalPath, values] of Object.entries(newResources)) {
+            if (!include(logicalPath)) continue;
+            const previous = oldResources[logicalPath];
+            if (!previous) {
+                added.push(describe(index, logicalPath, values));
+                continue;
+            }
+            const [oldFile, oldHash, oldSize] = previous;
+            const [newFile, newHash, newSize] = values;
+            const differs = oldHash && newHash ? oldHash !== newHash : oldFile !== newFile || oldSize !== newSize;
+            if (differs) {
+                changed.push({ ...describe(index, logicalPath, values), previousHash: oldHash, previousSize: oldSize });
+            }
+        }
+        for (const [logicalPath, values] of Object.entries(oldResources)) {
+            if (!(logicalPath in newResources) && include(logicalPath)) removed.push(describe(index, logicalPath, values));
+        }
+    }
+    
+    const byFiletype = {};
+    const tally = (items, kind) => {
+        for (const item of items) {
+            byFiletype[item.filetype] ??= { added: 0, removed: 0, changed: 0 };
+            byFiletype[item.filetype][kind]++;
+        }
+    };
+    tally(added, 'added');
+    tally(removed, 'removed');
+    tally(changed, 'changed');
+    
+    const sizeOf = items => items.reduce((sum, item) => sum + (item.size || 0), 0);
+    const byPath = (a, b) => a.logicalPath.localeCompare(b.logicalPath) || a.index.localeCompare(b.index);
+    
+    return {
+        before: before.build ?? null,
+        after: after.build ?? null,
+        counts: { added: added.length, removed: removed.length, changed: changed.length },
+        sizeChange: sizeOf(added) - sizeOf(removed) + changed.reduce((sum, item) => sum + (item.size || 0) - (item.previousSize || 0), 0),
+        byFiletype,
+        onlyIn,
+        added: added.sort(byPath),
+        removed: removed.sort(byPath),
+        changed: changed.sort(byPath)
+    };
+}
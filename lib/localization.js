@@ -0,0 +1,99 @@
+/**
+ * Localization - Language tables converted from the localization pickles
+ * 
+ * The file indexing step converts every localization_fsd_<locale>.pickle it
+ * finds to data/json/localization_fsd_<locale>.json (message ID → [text, ...]).
+ * localization_fsd_main.json holds the labels that tie message IDs to what
+ * they name, e.g. { FullPath: 'Map/SolarSystems', label: 'solar_system_30000001' }.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { projectRoot } from './utils.js';
+
+export const FALLBACK_LOCALE = 'en-us';
+export const MAIN_LOCALIZATION_FILE = 'data/json/localization_fsd_main.json';
+
+const LOCALIZATION_PATTERN = /^localization_fsd_(.+)\.json$/;
+
+// Labels naming stellar objects: FullPath and the label pattern holding the object ID
+const STELLAR_LABELS = {
+    systems: { fullPath: 'Map/SolarSystems', pattern: /solar_system_(\d+)/ },
+    constellations: { fullPath: 'Map/Constellations', pattern: /constellation_(\d+)/ },
+    regions: { fullPath: 'Map/Regions', pattern: /region_(\d+)/ }
+};
+
+/**
+ * Path of a locale's language table, relative to the project root
+ */
+export function localizationFile(locale) {
+    return `data/json/localization_fsd_${locale}.json`;
+}
+
+/**
+ * Locales with a converted language table, in alphabetical order
+ */
+export function listLocales(root = projectRoot) {
+    const jsonDir = path.join(root, 'data/json');
+    if (!fs.existsSync(jsonDir)) return [];
+    
+    return fs.readdirSync(jsonDir)
+        .map(file => file.match(LOCALIZATION_PATTERN)?.[1])
+        .filter(locale => locale && locale !== 'main')
+        .sort();
+}
+
+/**
+ * Expand a locale selection: ['all'] means every converted locale
+ */
+export function resolveLocales(requested = ['all'], root = projectRoot) {
+    return requested.includes('all') ? listLocales(root) : [...new Set(requested)];
+}
+
+/**
+ * Text of a message in a language table, or null when missing or empty
+ */
+export function localizedText(table, messageId) {
+    const entry = table?.[messageId];
+    const text = Array.isArray(entry) ? entry[0] : entry;
+    return typeof text === 'string' && text !== '' ? text : null;
+}
+
+/**
+ * Placeholders a message is filled in with, e.g. "{[numeric]quantity} units"
+ * or "%(name)s" → ['quantity'] or ['name'], in order of first appearance
+ */
+export function messageParameters(text) {
+    if (typeof text !== 'string') return [];
+    
+    const names = [];
+    for (const match of text.matchAll(/\{(?:\[[^\]]*\])?([^{}]+)\}|%\(([^)]+)\)[a-z]/gi)) {
+        const name = (match[1] ?? match[2]).trim();
+        if (!names.includes(name)) names.push(name);
+    }
+    return names;
+}
+
+/**
+ * Message IDs of system, constellation and region names
+ * 
+ * @param {Object} mainLocalization - localization_fsd_main.json contents
+ * @returns {{ systems: Map, constellations: Map, regions: Map }} Object ID → message ID
+ */
+export function mapStellarMessageIds(mainLocalization) {
+    const mappings = Object.fromEntries(Object.keys(STELLAR_LABELS).map(kind => [kind, new Map()]));
+    
+    for (const [messageId, entry] of Object.entries(mainLocalization?.labels || {})) {
+        if (!entry?.label) continue;
+        
+        for (const [kind, { fullPath, pattern }] of Object.entries(STELLAR_LABELS)) {
+            if (entry.FullPath !== fullPath) continue;
+            const match = entry.label.match(pattern);
+            if (match) {
+                mappings[kind].set(parseInt(match[1]), parseInt(messageId));
+            }
+        }
+    }
+    
+    return mappings;
+}
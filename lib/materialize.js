@@ -0,0 +1,373 @@
+/**
+ * Materialize - How game files are made available under data/ and bin64/
+ * 
+ *   symlink   Link to the file in the installation (default)
+ *   hardlink  Hard link to the same file; keeps working when the installation is
+ *             moved, but must be on the same drive and follows in-place patches
+ *   copy      Independent copy, checked against the source's SHA-1 after copying
+ *   manifest  Nothing is created; data/materialized.json records where each file is
+ * 
+ * Hard links that cannot be made (another drive, no permission) fall back to
+ * copies. Directories (bin64, ResFiles) are linked whole as symlinks, mirrored
+ * file by file as hard links or copies, and recorded as one entry in a manifest.
+ * 
+ * Hard links and copies keep one tree of game files: the index step fills a
+ * store (data/raw/ResFiles) with the entries its filters accept, and the
+ * files it sorts by type are hard links into that store.
+ * 
+ * Setup and the index step may run in different modes, so data/materialized.json
+ * records the mode of each target: bin64, data/raw/ResFiles, the index files,
+ * and LINKS_TARGET for the files the index step sorts by type.
+ * 
+ * The mode comes from --materialize, or materialize.mode in
+ * eve-frontier-tools.config.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { logger, projectRoot, loadProjectConfig } from './utils.js';
+import { hashFile } from './build-cache.js';
+
+export const MATERIALIZE_MODES = ['symlink', 'hardlink', 'copy', 'manifest'];
+export const MATERIALIZED_FILE = 'data/materialized.json';
+export const LINKS_TARGET = 'links';
+
+// link() errors meaning "not possible here" rather than "something is wrong"
+const HARDLINK_FALLBACK_ERRORS = ['EXDEV', 'EPERM', 'EACCES', 'ENOTSUP', 'EMLINK'];
+
+const VERBS = {
+    symlink: 'Symlinked',
+    hardlink: 'Hard-linked',
+    copy: 'Copied',
+    manifest: 'Recorded'
+};
+
+/**
+ * Materialization settings from the command line and the config file
+ * 
+ * @param {Object} [options] - Pipeline options (materialize, verifyCopies)
+ * @returns {{ mode: string, verify: boolean }}
+ */
+export function resolveMaterializeOptions(options = {}) {
+    const configured = loadProjectConfig().materialize || {};
+    const mode = options.materialize || configured.mode || 'symlink';
+    if (!MATERIALIZE_MODES.includes(mode)) {
+        throw new Error(`Unknown materialization mode "${mode}" (${MATERIALIZE_MODES.join(', ')})`);
+    }
+    return { mode, verify: options.verifyCopies ?? configured.verify ?? true };
+}
+
+/**
+ * data/materialized.json, or null before anything was materialized
+ */
+export function loadMaterializedRecord() {
+    const recordPath = path.join(projectRoot, MATERIALIZED_FILE);
+    return fs.existsSync(recordPath) ? JSON.parse(fs.readFileSync(recordPath, 'utf8')) : null;
+}
+
+/**
+ * Mode a target was last materialized with, or null when it was not recorded
+ * 
+ * @param {string} target - 'bin64', 'data/raw/ResFiles', an index file or LINKS_TARGET
+ */
+export function materializedMode(target, record = loadMaterializedRecord()) {
+    return record?.targets?.[target]?.mode ?? null;
+}
+
+/**
+ * Remove whatever is at a path, including broken symlinks
+ */
+async function removeExisting(targetPath) {
+    const stats = await fs.promises.lstat(targetPath).catch(() => null);
+    if (!stats) return;
+    await fs.promises.rm(targetPath, { recursive: stats.isDirectory(), force: true });
+}
+
+async function listTree(directory, prefix = '') {
+    const found = [];
+    for (const entry of await fs.promises.readdir(directory, { withFileTypes: true })) {
+        const relative = path.join(prefix, entry.name);
+        const fullPath = path.join(directory, entry.name);
+        const isDirectory = entry.isDirectory() ||
+            (entry.isSymbolicLink() && (await fs.promises.stat(fullPath).catch(() => null))?.isDirectory());
+        if (isDirectory) {
+            found.push(...await listTree(fullPath, relative));
+        } else {
+            found.push(relative);
+        }
+    }
+    return found;
+}
+
+export class Materializer {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.mode='symlink'] - One of MATERIALIZE_MODES
+     * @param {boolean} [options.verify=true] - Read copies back and compare their hash with the source's
+     */
+    constructor({ mode = 'symlink', verify = true } = {}) {
+        this.mode = mode;
+        this.verify = verify;
+        this.counts = {};
+        this.store = null;
+        
+        // Copies and references are kept across runs; links need no record
+        const record = loadMaterializedRecord();
+        this.targets = record?.targets || {};
+        this.files = record?.files || {};
+        this.directories = record?.directories || {};
+    }
+    
+    get verb() {
+        return VERBS[this.mode];
+    }
+    
+    /**
+     * Whether files are kept once in a store and linked from there (hard links and copies)
+     */
+    get stores() {
+        return this.mode === 'hardlink' || this.mode === 'copy';
+    }
+    
+    count(key) {
+        this.counts[key] = (this.counts[key] || 0) + 1;
+    }
+    
+    /**
+     * Record that a target was materialized in this mode
+     */
+    mark(target) {
+        this.targets[target] = { mode: this.mode, updated: new Date().toISOString() };
+    }
+    
+    keyOf(targetPath) {
+        return path.relative(projectRoot, path.resolve(targetPath)).split(path.sep).join('/');
+    }
+    
+    /**
+     * Make one file available at targetPath
+     * 
+     * @returns {Promise<boolean>} Whether it succeeded; failures are logged
+     */
+    async file(sourcePath, targetPath) {
+        const key = this.keyOf(targetPath);
+        try {
+            if (this.mode === 'manifest') {
+                await removeExisting(targetPath);
+                this.files[key] = { mode: 'manifest', source: await fs.promises.realpath(sourcePath) };
+                this.count('referenced');
+                return true;
+            }
+            // Files already in the store are hard-linked in both modes: the store holds the copy
+            if (this.mode === 'copy' && !this.inStore(sourcePath)) {
+                return await this.copyFile(sourcePath, targetPath, key);
+            }
+            
+            await removeExisting(targetPath);
+            delete this.files[key];
+            if (this.mode === 'symlink') {
+                await fs.promises.symlink(sourcePath, targetPath);
+                this.count('symlinked');
+                return true;
+            }
+            
+            try {
+                // link() would link a symlink itself rather than the file it points to
+                await fs.promises.link(await fs.promises.realpath(sourcePath), targetPath);
+                this.count('hardlinked');
+                return true;
+            } catch (error) {
+                if (!HARDLINK_FALLBACK_ERRORS.includes(error.code)) throw error;
+                if (!this.counts.hardlinkFallbacks) {
+                    logger.warning(`Hard links are not possible here (${error.code}); copying instead`);
+                }
+                this.count('hardlinkFallbacks');
+                return await this.copyFile(sourcePath, targetPath, key);
+            }
+        } catch (error) {
+            logger.error(`${this.mode} failed: ${path.basename(targetPath)} - ${error.message}`);
+            this.count('errors');
+            return false;
+        }
+    }
+    
+    /**
+     * Copy a file unless the previous copy is still current, then verify it
+     */
+    async copyFile(sourcePath, targetPath, key) {
+        const source = await fs.promises.stat(sourcePath);
+        const previous = this.files[key];
+        const target = await fs.promises.lstat(targetPath).catch(() => null);
+        if (previous?.mode === 'copy' && target?.isFile() && target.size === source.size &&
+            previous.size === source.size && previous.mtimeMs === source.mtimeMs) {
+            this.count('unchanged');
+            return true;
+        }
+        
+        await removeExisting(targetPath);
+        
+        // The source is read once, hashed as it is copied
+        const hash = crypto.createHash('sha1');
+        await pipeline(
+            fs.createReadStream(sourcePath),
+            new Transform({
+                transform(chunk, encoding, callback) {
+                    hash.update(chunk);
+                    callback(null, chunk);
+                }
+            }),
+            fs.createWriteStream(targetPath)
+        );
+        const sha1 = hash.digest('hex');
+        
+        if (this.verify) {
+            if (await hashFile(targetPath) !== sha1) {
+                await fs.promises.unlink(targetPath);
+                delete this.files[key];
+                logger.error(`Copy of ${path.basename(targetPath)} does not match its source; removed`);
+                this.count('verifyFailures');
+                return false;
+            }
+        }
+        
+        this.files[key] = { mode: 'copy', source: path.resolve(sourcePath), size: source.size, mtimeMs: source.mtimeMs, sha1 };
+        this.count('copied');
+        return true;
+    }
+    
+    /**
+     * Make targetPath a real directory to store files in, replacing a symlink
+     * so that nothing is written into the installation through it
+     * 
+     * Files already stored, and the records of copies among them, are kept.
+     */
+    async prepareStore(targetPath) {
+        const existing = await fs.promises.lstat(targetPath).catch(() => null);
+        if (existing && !existing.isDirectory()) {
+            await removeExisting(targetPath);
+        }
+        await fs.promises.mkdir(targetPath, { recursive: true });
+        delete this.directories[this.keyOf(targetPath)];
+        this.store = path.resolve(targetPath);
+    }
+    
+    inStore(sourcePath) {
+        return Boolean(this.store) && path.resolve(sourcePath).startsWith(`${this.store}${path.sep}`);
+    }
+    
+    /**
+     * Drop the records of files inside a directory that is replaced
+     */
+    forgetBelow(directoryKey) {
+        for (const key of Object.keys(this.files)) {
+            if (key.startsWith(`${directoryKey}/`)) delete this.files[key];
+        }
+    }
+    
+    /**
+     * Make a directory available at targetPath
+     * 
+     * @returns {Promise<boolean>} Whether every file succeeded
+     */
+    async directory(sourcePath, targetPath) {
+        const key = this.keyOf(targetPath);
+        try {
+            if (this.mode === 'symlink' || this.mode === 'manifest') {
+                await removeExisting(targetPath);
+                delete this.directories[key];
+                this.forgetBelow(key);
+                if (this.mode === 'symlink') {
+                    await fs.promises.symlink(sourcePath, targetPath);
+                    this.count('symlinked');
+                } else {
+                    this.directories[key] = { source: await fs.promises.realpath(sourcePath) };
+                    this.count('referenced');
+                }
+                return true;
+            }
+            
+            // Hard links and copies: mirror the tree file by file
+            const existing = await fs.promises.lstat(targetPath).catch(() => null);
+            if (existing && !existing.isDirectory()) {
+                await removeExisting(targetPath);
+            }
+            delete this.directories[key];
+            
+            const entries = await listTree(sourcePath);
+            let succeeded = 0;
+            for (const [index, relative] of entries.entries()) {
+                const target = path.join(targetPath, relative);
+                await fs.promises.mkdir(path.dirname(target), { recursive: true });
+                if (await this.file(path.join(sourcePath, relative), target)) succeeded++;
+                if ((index + 1) % 1000 === 0) {
+                    logger.progress(`${this.verb} ${index + 1}/${entries.length} files of ${path.basename(targetPath)}...`);
+                }
+            }
+            return succeeded === entries.length;
+        } catch (error) {
+            logger.error(`${this.mode} failed: ${path.basename(targetPath)} - ${error.message}`);
+            this.count('errors');
+            return false;
+        }
+    }
+    
+    /**
+     * Where the content of a materialized path can be read: the path itself,
+     * or when only a reference was recorded, the recorded source
+     */
+    resolve(targetPath) {
+        if (fs.existsSync(targetPath)) return targetPath;
+        const key = this.keyOf(targetPath);
+        if (this.files[key]?.mode === 'manifest') {
+            return this.files[key].source;
+        }
+        for (const [directoryKey, { source }] of Object.entries(this.directories)) {
+            if (key === directoryKey) return source;
+            if (key.startsWith(`${directoryKey}/`)) return path.join(source, key.slice(directoryKey.length + 1));
+        }
+        return targetPath;
+    }
+    
+    /**
+     * Write data/materialized.json
+     */
+    save() {
+        const recordPath = path.join(projectRoot, MATERIALIZED_FILE);
+        fs.mkdirSync(path.dirname(recordPath), { recursive: true });
+        // One entry per copied or referenced file: written without indentation
+        fs.writeFileSync(recordPath, JSON.stringify({
+            verify: this.verify,
+            updated: new Date().toISOString(),
+            targets: this.targets,
+            directories: this.directories,
+            files: this.files
+        }));
+    }
+}
+
+/**
+ * Check recorded copies against the hashes taken when they were made
+ * 
+ * @returns {Promise<{checked: number, problems: Array<{file: string, problem: string}>}>}
+ */
+export async function verifyCopies(record = loadMaterializedRecord()) {
+    const problems = [];
+    let checked = 0;
+    for (const [file, entry] of Object.entries(record?.files || {})) {
+        if (entry.mode !== 'copy') continue;
+        const filePath = path.join(projectRoot, file);
+        const stats = await fs.promises.lstat(filePath).catch(() => null);
+        checked++;
+        if (!stats?.isFile()) {
+            problems.push({ file, problem: 'missing' });
+        } else if (stats.size !== entry.size) {
+            problems.push({ file, problem: 'size changed' });
+        } else if (entry.sha1 && await hashFile(filePath) !== entry.sha1) {
+            problems.push({ file, problem: 'content changed' });
+        }
+    }
+    return { checked, problems };
+}
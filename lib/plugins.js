@@ -0,0 +1,157 @@
+/**
+ * Plugins - Pipeline steps defined outside this repository
+ * 
+ * A plugin is an ES module whose default export (or `step` export) declares a
+ * step the way the built-in processors do (see step-graph.js), except that
+ * run receives a context instead of the pipeline options:
+ * 
+ *   export default {
+ *       name: 'ship-stats',
+ *       title: 'Ship Statistics',
+ *       dependsOn: ['types'],
+ *       inputs: ['data/json/types.json'],
+ *       outputs: ['data/extracted/ship_stats.json'],
+ *       async run({ config, logger, json, StatsCollector, projectRoot, options }) {
+ *           ...
+ *           return stats.summary();
+ *       }
+ *   };
+ * 
+ * A module may also export an array of steps. Plugins are loaded from every
+ * .js/.mjs file in the plugin directory and from installed packages, both
+ * set in eve-frontier-tools.config.json:
+ * 
+ *   { "plugins": { "directory": "plugins", "packages": ["eve-frontier-ship-stats"] } }
+ * 
+ * A plugin that fails to load or declares an invalid step is skipped with a
+ * warning, so one broken plugin does not take the rest of the pipeline down.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { 
+    logger, 
+    loadConfiguration, 
+    json, 
+    StatsCollector, 
+    projectRoot 
+} from './utils.js';
+
+export const DEFAULT_PLUGIN_DIR = 'plugins';
+
+// Step names are used in --steps, where ',' separates steps and ':' starts step arguments
+const STEP_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Check a plugin's declaration before it joins the step registry
+ */
+function validatePlugin(plugin, source, takenNames) {
+    if (!plugin || typeof plugin !== 'object') {
+        throw new Error(`Plugin ${source} does not export a step declaration`);
+    }
+    if (typeof plugin.name !== 'string' || !STEP_NAME_PATTERN.test(plugin.name)) {
+        throw new Error(`Plugin ${source} has an invalid step name: ${plugin.name}`);
+    }
+    if (takenNames.has(plugin.name)) {
+        throw new Error(`Plugin ${source} uses step name "${plugin.name}", which is already taken`);
+    }
+    if (typeof plugin.run !== 'function') {
+        throw new Error(`Plugin ${source} (${plugin.name}) has no run function`);
+    }
+}
+
+/**
+ * Turn a plugin declaration into a pipeline step
+ */
+function toStep(plugin, source, sourceFile) {
+    return {
+        icon: '🧩',
+        dependsOn: [],
+        inputs: [],
+        outputs: [],
+        source: sourceFile,
+        ...plugin,
+        title: plugin.title || plugin.name,
+        plugin: source,
+        run: ({ options }) => plugin.run({
+            config: loadConfiguration(),
+            logger,
+            json,
+            StatsCollector,
+            projectRoot,
+            options
+        })
+    };
+}
+
+/**
+ * Load plugin steps from a directory and a list of packages
+ * 
+ * @param {Object} [settings]
+ * @param {string} [settings.directory='plugins'] - Relative to the project root
+ * @param {string[]} [settings.packages=[]] - Installed package names
+ * @param {string[]} [settings.reservedNames=[]] - Names of the built-in steps
+ * @returns {Promise<{steps: Object[], failures: Array<{source: string, names: string[], message: string}>}>}
+ *   Step declarations, and the plugins that were skipped with the step names they declared (when known)
+ */
+export async function loadPlugins({ directory = DEFAULT_PLUGIN_DIR, packages = [], reservedNames = [] } = {}) {
+    const modules = [];
+    
+    const pluginDir = path.resolve(projectRoot, directory);
+    if (fs.existsSync(pluginDir)) {
+        const pluginFiles = fs.readdirSync(pluginDir)
+            .filter(file => /\.m?js$/.test(file))
+            .sort();
+        
+        for (const file of pluginFiles) {
+            const sourceFile = path.relative(projectRoot, path.join(pluginDir, file));
+            modules.push({ source: sourceFile, sourceFile, specifier: pathToFileURL(path.join(pluginDir, file)).href });
+        }
+    }
+    
+    for (const packageName of packages) {
+        modules.push({ source: packageName, sourceFile: undefined, specifier: packageName });
+    }
+    
+    const takenNames = new Set([...reservedNames, 'all', 'cleanup']);
+    const steps = [];
+    const failures = [];
+    const fail = (source, names, message) => {
+        logger.warning(`${message}; skipped`);
+        failures.push({ source, names, message });
+    };
+    
+    for (const { source, sourceFile, specifier } of modules) {
+        let module;
+        try {
+            module = await import(specifier);
+        } catch (error) {
+            fail(source, [], `Could not load plugin ${source}: ${error.message}`);
+            continue;
+        }
+        
+        const declarations = [].concat(module.default ?? module.step ?? []);
+        if (declarations.length === 0) {
+            fail(source, [], `Plugin ${source} does not export a step declaration`);
+            continue;
+        }
+        
+        for (const plugin of declarations) {
+            try {
+                validatePlugin(plugin, source, takenNames);
+            } catch (error) {
+                fail(source, typeof plugin?.name === 'string' ? [plugin.name] : [], error.message);
+                continue;
+            }
+            takenNames.add(plugin.name);
+            steps.push(toStep(plugin, source, sourceFile));
+        }
+    }
+    
+    if (steps.length > 0) {
+        logger.debug(`Loaded ${steps.length} plugin steps: ${steps.map(step => step.name).join(', ')}`);
+    }
+    
+    return { steps, failures };
+}
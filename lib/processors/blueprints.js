@@ -5,6 +5,7 @@
  * bill-of-materials mappings for EVE Frontier manufacturing
  */
 
+import fs from 'fs';
 import path from 'path';
 import { 
     logger, 
@@ -15,10 +16,246 @@ import {
     StatsCollector 
 } from '../utils.js';
 
+/**
+ * Expand a material into its full build tree
+ * 
+ * Walks the material back through the blueprint that produces it until only
+ * raw resources (types no blueprint produces) remain. Raw totals are
+ * accumulated into rawTotals, and any production loop is recorded in cycles
+ * instead of being followed.
+ * 
+ * Subtrees are expanded once per type and quantity and shared through
+ * context.expansions: components recur across products and within a tree.
+ * Runs round up at every level, so a subtree is not simply proportional to
+ * its quantity. Subtrees that contain a cycle depend on the path to them and
+ * are not shared.
+ */
+function expandMaterial(typeId, quantity, context, trail = []) {
+    const { producers, blueprints, typeNames, rawTotals, cycles, expansions } = context;
+    const name = typeNames[typeId] || `Type ${typeId}`;
+    const producer = producers[typeId];
+    
+    if (!producer) {
+        rawTotals.set(typeId, (rawTotals.get(typeId) || 0) + quantity);
+        return { typeID: typeId, name, quantity, raw: true };
+    }
+    
+    if (trail.includes(typeId)) {
+        cycles.push({ path: [...trail, typeId].map(id => ({ typeID: id, name: typeNames[id] || `Type ${id}` })) });
+        return { typeID: typeId, name, quantity, cycle: true };
+    }
+    
+    const key = `${typeId}:${quantity}`;
+    const expanded = expansions.get(key);
+    if (expanded) {
+        addTotals(rawTotals, expanded.rawTotals);
+        return expanded.node;
+    }
+    
+    const { blueprintId, outputQuantity } = producer;
+    const manufacturing = blueprints[blueprintId].activities.manufacturing;
+    const runs = Math.ceil(quantity / outputQuantity);
+    const subtree = { ...context, rawTotals: new Map(), cycles: [] };
+    
+    const node = {
+        typeID: typeId,
+        name,
+        quantity,
+        blueprintID: parseInt(blueprintId),
+        blueprintName: typeNames[blueprintId] || `Blueprint ${blueprintId}`,
+        runs,
+        surplus: runs * outputQuantity - quantity,
+        materials: (manufacturing.materials || []).map(mat =>
+            expandMaterial(mat.typeID, mat.quantity * runs, subtree, [...trail, typeId])
+        )
+    };
+    
+    addTotals(rawTotals, subtree.rawTotals);
+    cycles.push(...subtree.cycles);
+    if (subtree.cycles.length === 0) {
+        expansions.set(key, { node, rawTotals: subtree.rawTotals });
+    }
+    return node;
+}
+
+function addTotals(totals, added) {
+    for (const [typeId, quantity] of added) {
+        totals.set(typeId, (totals.get(typeId) || 0) + quantity);
+    }
+}
+
+/**
+ * Strategies for choosing between several blueprints that make the same product
+ */
+export const PRODUCER_STRATEGIES = {
+    'lowest-materials': (a, b) =>
+        a.materialCount - b.materialCount ||
+        a.totalMaterialQuantity - b.totalMaterialQuantity ||
+        a.blueprintID - b.blueprintID,
+    'highest-output': (a, b) =>
+        b.outputQuantity - a.outputQuantity ||
+        a.materialCount - b.materialCount ||
+        a.blueprintID - b.blueprintID,
+    'first': (a, b) => a.blueprintID - b.blueprintID
+};
+
+/**
+ * Build the product typeID -> producing blueprints index
+ * 
+ * Every product gets the full list of blueprints that manufacture it plus the
+ * one selected by the resolution policy: an explicitly preferred blueprint
+ * wins, otherwise candidates are ranked by the configured strategy.
+ */
+function buildProductIndex(blueprints, typeNames, policy, stats) {
+    const strategy = policy.strategy || 'lowest-materials';
+    const compare = PRODUCER_STRATEGIES[strategy];
+    if (!compare) {
+        throw new Error(`Unknown producer strategy: ${strategy} (expected ${Object.keys(PRODUCER_STRATEGIES).join(', ')})`);
+    }
+    const preferred = policy.preferred || {};
+    
+    const productToBlueprints = {};
+    for (const [blueprintId, blueprint] of Object.entries(blueprints)) {
+        const manufacturing = blueprint.activities?.manufacturing;
+        if (!manufacturing) continue;
+        
+        const materials = manufacturing.materials || [];
+        for (const product of manufacturing.products || []) {
+            if (!productToBlueprints[product.typeID]) {
+                productToBlueprints[product.typeID] = {
+                    productName: typeNames[product.typeID] || `Type ${product.typeID}`,
+                    producedBy: []
+                };
+            }
+            
+            productToBlueprints[product.typeID].producedBy.push({
+                blueprintID: parseInt(blueprintId),
+                blueprintName: typeNames[blueprintId] || `Blueprint ${blueprintId}`,
+                outputQuantity: product.quantity || 1,
+                materialCount: materials.length,
+                totalMaterialQuantity: materials.reduce((sum, mat) => sum + (mat.quantity || 0), 0)
+            });
+        }
+    }
+    
+    for (const [productId, entry] of Object.entries(productToBlueprints)) {
+        const candidates = [...entry.producedBy].sort(compare);
+        const preferredId = preferred[productId] !== undefined ? parseInt(preferred[productId]) : null;
+        const preferredCandidate = candidates.find(candidate => candidate.blueprintID === preferredId);
+        
+        if (preferredId !== null && !preferredCandidate) {
+            logger.warning(`Preferred blueprint ${preferredId} does not produce ${entry.productName}, using ${strategy}`);
+        }
+        
+        if (candidates.length === 1) {
+            entry.resolution = 'only';
+        } else if (preferredCandidate) {
+            entry.resolution = 'preferred';
+            stats.increment('multiProducerProducts');
+        } else {
+            entry.resolution = strategy;
+            stats.increment('multiProducerProducts');
+        }
+        entry.selectedBlueprintID = (preferredCandidate || candidates[0]).blueprintID;
+    }
+    
+    stats.set('producedProducts', Object.keys(productToBlueprints).length);
+    
+    return productToBlueprints;
+}
+
+/**
+ * Build the recursive bill of materials for every manufactured product
+ */
+function buildExpandedBom(blueprints, typeNames, productIndex, quantity, stats) {
+    // Product typeID -> the blueprint selected to manufacture it
+    const producers = {};
+    for (const [productId, entry] of Object.entries(productIndex)) {
+        const selected = entry.producedBy.find(candidate => candidate.blueprintID === entry.selectedBlueprintID);
+        producers[productId] = { blueprintId: selected.blueprintID, outputQuantity: selected.outputQuantity };
+    }
+    
+    const expanded = {};
+    const expansions = new Map();
+    for (const productId of Object.keys(producers)) {
+        const rawTotals = new Map();
+        const cycles = [];
+        const tree = expandMaterial(parseInt(productId), quantity, {
+            producers, blueprints, typeNames, rawTotals, cycles, expansions
+        });
+        
+        expanded[productId] = {
+            name: tree.name,
+            blueprintID: tree.blueprintID,
+            quantity,
+            rawMaterials: Array.from(rawTotals.entries())
+                .sort((a, b) => a[0] - b[0])
+                .map(([typeId, total]) => ({
+                    typeID: typeId,
+                    name: typeNames[typeId] || `Type ${typeId}`,
+                    quantity: total
+                })),
+            cycles,
+            tree
+        };
+        
+        stats.increment('expandedProducts');
+        if (cycles.length > 0) {
+            stats.increment('productsWithCycles');
+            logger.warning(`Production cycle detected while expanding ${tree.name} (${cycles.length} loops)`);
+        }
+    }
+    
+    return expanded;
+}
+
+/**
+ * Describe a single blueprint activity with resolved type names
+ * 
+ * Activities share one shape (materials, products, skills, time); optional
+ * fields such as invention probabilities are carried through when present.
+ */
+function describeActivity(activity, typeNames) {
+    const nameOf = typeId => typeNames[typeId] || `Type ${typeId}`;
+    
+    return {
+        time: activity.time || 0,
+        materials: (activity.materials || []).map(mat => ({
+            typeID: mat.typeID,
+            name: nameOf(mat.typeID),
+            quantity: mat.quantity
+        })),
+        products: (activity.products || []).map(prod => ({
+            typeID: prod.typeID,
+            name: nameOf(prod.typeID),
+            quantity: prod.quantity,
+            ...(prod.probability !== undefined && { probability: prod.probability })
+        })),
+        skills: (activity.skills || []).map(skill => ({
+            typeID: skill.typeID,
+            name: nameOf(skill.typeID),
+            level: skill.level
+        }))
+    };
+}
+
+/**
+ * Convert an activity key such as research_time to a stats key prefix
+ */
+function activityStatsKey(activityName) {
+    return activityName.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
 /**
  * Run blueprint analysis and BOM generation
+ * 
+ * @param {Object} options
+ * @param {number} [options.bomQuantity=1] - Units of each product to expand in bom_expanded.json
+ * @param {Object} [options.producerPolicy] - How to pick between blueprints making the same product
+ * @param {string} [options.producerPolicy.strategy='lowest-materials'] - One of PRODUCER_STRATEGIES
+ * @param {Object} [options.producerPolicy.preferred] - Product typeID -> blueprint typeID overrides
  */
-export async function runBlueprintAnalysis() {
+export async function runBlueprintAnalysis(options = {}) {
     try {
         logger.info('\n🏭 Processing blueprint data...');
         
@@ -82,6 +319,7 @@ export async function runBlueprintAnalysis() {
         // Process blueprints
         const materialToBlueprints = {};
         const blueprintToMaterials = {};
+        const blueprintsByActivity = {};
         const allMaterialIds = new Set();
         const allBlueprintIds = new Set();
         
@@ -89,6 +327,18 @@ export async function runBlueprintAnalysis() {
             allBlueprintIds.add(parseInt(blueprintId));
             stats.increment('totalBlueprints');
             
+            // Record every activity the blueprint supports
+            for (const [activityName, activity] of Object.entries(blueprint.activities || {})) {
+                if (!blueprintsByActivity[activityName]) {
+                    blueprintsByActivity[activityName] = {};
+                }
+                blueprintsByActivity[activityName][blueprintId] = {
+                    blueprintName: typeNames[blueprintId] || `Blueprint ${blueprintId}`,
+                    ...describeActivity(activity, typeNames)
+                };
+                stats.increment(`${activityStatsKey(activityName)}Activities`);
+            }
+            
             if (blueprint.activities && blueprint.activities.manufacturing) {
                 stats.increment('manufacturingBlueprints');
                 const materials = blueprint.activities.manufacturing.materials || [];
@@ -97,6 +347,7 @@ export async function runBlueprintAnalysis() {
                 // Store blueprint to materials mapping
                 blueprintToMaterials[blueprintId] = {
                     blueprintName: typeNames[blueprintId] || `Blueprint ${blueprintId}`,
+                    time: blueprint.activities.manufacturing.time || 0,
                     materials: materials.map(mat => ({
                         typeID: mat.typeID,
                         name: typeNames[mat.typeID] || `Type ${mat.typeID}`,
@@ -132,6 +383,16 @@ export async function runBlueprintAnalysis() {
         
         stats.set('uniqueMaterials', allMaterialIds.size);
         stats.set('uniqueBlueprints', allBlueprintIds.size);
+        stats.set('activityTypes', Object.keys(blueprintsByActivity).length);
+        
+        // Index products by the blueprints that make them
+        logger.info('Resolving product producers...');
+        const productIndex = buildProductIndex(blueprints, typeNames, options.producerPolicy || {}, stats);
+        
+        // Expand every product down to raw resources
+        const bomQuantity = options.bomQuantity || 1;
+        logger.info(`Expanding bill of materials to raw resources (${bomQuantity} units per product)...`);
+        const expandedBom = buildExpandedBom(blueprints, typeNames, productIndex, bomQuantity, stats);
         
         // Write outputs
         const outputs = [
@@ -145,10 +406,31 @@ export async function runBlueprintAnalysis() {
                 data: blueprintToMaterials,
                 description: `Blueprints to materials mapping (${stats.get('manufacturingBlueprints')} blueprints)`
             },
+            {
+                file: 'products_to_blueprints.json',
+                data: productIndex,
+                description: `Products to blueprints mapping (${stats.get('producedProducts')} products, ${stats.get('multiProducerProducts')} with several producers)`
+            },
+            {
+                file: 'bom_expanded.json',
+                data: expandedBom,
+                description: `Recursive bill of materials (${stats.get('expandedProducts')} products, ${stats.get('productsWithCycles')} with cycles)`
+            },
+            ...Object.entries(blueprintsByActivity).map(([activityName, activityBlueprints]) => ({
+                file: `blueprints_${activityName}.json`,
+                data: activityBlueprints,
+                description: `${activityName} activity (${Object.keys(activityBlueprints).length} blueprints)`
+            })),
             {
                 file: 'bom_summary.json',
                 data: {
                     summary: stats.summary(),
+                    activities: Object.fromEntries(
+                        Object.entries(blueprintsByActivity).map(([activityName, activityBlueprints]) => [
+                            activityName,
+                            Object.keys(activityBlueprints).length
+                        ])
+                    ),
                     allMaterialIds: Array.from(allMaterialIds).sort((a, b) => a - b),
                     allBlueprintIds: Array.from(allBlueprintIds).sort((a, b) => a - b)
                 },
@@ -169,4 +451,53 @@ export async function runBlueprintAnalysis() {
         logger.error(`Blueprint analysis failed: ${error.message}`);
         throw error;
     }
-} 
\ No newline at end of file
+} 
+
+const BOM_SUMMARY_FILE = 'data/extracted/bom_summary.json';
+
+/**
+ * blueprints_<activity>.json of every activity the last run found
+ * 
+ * The activities come from the data, so they are read back from bom_summary.json.
+ */
+function activityOutputs() {
+    try {
+        const summary = JSON.parse(fs.readFileSync(path.join(projectRoot, BOM_SUMMARY_FILE), 'utf8'));
+        return Object.keys(summary.activities || {}).map(activityName => `data/extracted/blueprints_${activityName}.json`);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Pipeline step declaration
+ * 
+ * Blueprints come from either the FSDBinary conversion or the SQLite
+ * database, so neither source is required on its own.
+ */
+export const blueprintsStep = {
+    name: 'blueprints',
+    title: 'Blueprint Analysis and BOM Generation',
+    icon: '🏭',
+    dependsOn: ['fsdbinary', 'types'],
+    inputs: ['data/extracted/type_names_all.json'],
+    optionalInputs: ['data/json/blueprints.json', 'data/sqlite/blueprints.sqlite'],
+    outputs: () => [
+        'data/extracted/clean_materials_to_blueprints.json',
+        'data/extracted/clean_blueprints_to_materials.json',
+        'data/extracted/products_to_blueprints.json',
+        'data/extracted/bom_expanded.json',
+        BOM_SUMMARY_FILE,
+        ...activityOutputs()
+    ],
+    params: options => ({
+        bomQuantity: options.bomQuantity,
+        producerPolicy: options.producerPolicy
+    }),
+    cached: true,
+    source: 'lib/processors/blueprints.js',
+    run: ({ options }) => runBlueprintAnalysis({
+        bomQuantity: options.bomQuantity,
+        producerPolicy: options.producerPolicy
+    })
+};
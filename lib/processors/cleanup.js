@@ -1,7 +1,7 @@
 /**
  * Cleanup Processor - Reset project to clean state
  * 
- * Removes all generated files, symlinks, and configuration to start fresh
+ * Removes all generated files, linked or copied game files, and configuration to start fresh
  */
 
 import fs from 'fs';
@@ -75,7 +75,7 @@ export async function runCleanup(options = {}) {
         // Remove data directories
         const dataDirs = [
             { path: path.join(projectRoot, 'data'), name: 'data directory' },
-            { path: path.join(projectRoot, 'bin64'), name: 'bin64 symlink directory' },
+            { path: path.join(projectRoot, 'bin64'), name: 'bin64 directory' },
             { path: path.join(projectRoot, 'pyd'), name: 'pyd directory (legacy)' }  // Remove legacy pyd if it exists
         ];
         
@@ -1,8 +1,9 @@
 /**
- * File Indexing Processor - Parse game index and create symlinks
+ * File Indexing Processor - Parse game index and link game files
  * 
  * Processes the index_stillness.txt file to discover all game data files
- * and creates organized symlinks for different file types
+ * and makes them available by file type, as symlinks, hard links, copies or
+ * manifest references (see ../materialize.js)
  */
 
 import fs from 'fs';
@@ -14,28 +15,61 @@ import {
     loadConfiguration, 
     ensureDirectories,
     files,
+    json,
     pickle,
     StatsCollector 
 } from '../utils.js';
+import { BUILD_INFO_FILE, readBuildInfo } from '../game-build.js';
+import { 
+    INDEX_MANIFEST_FILE, 
+    MANIFEST_COLUMNS, 
+    parseIndexLine, 
+    manifestEntry 
+} from '../index-manifest.js';
+import { 
+    INDEX_FILTER_KEYS, 
+    resolveIndexFilters, 
+    hasIndexFilters, 
+    createIndexFilter 
+} from '../index-filter.js';
+import { 
+    MATERIALIZED_FILE, 
+    LINKS_TARGET, 
+    Materializer, 
+    resolveMaterializeOptions 
+} from '../materialize.js';
 
 /**
  * Process pickle files to JSON
  */
-async function processPickleFile(filename, sourcePath, stats) {
-    const symlinkPath = path.join(projectRoot, 'data/pickle', `${filename}.pickle`);
+async function processPickleFile(filename, sourcePath, stats, cache, materializer) {
+    const targetPath = path.join(projectRoot, 'data/pickle', `${filename}.pickle`);
     const jsonPath = path.join(projectRoot, 'data/json', `${filename}.json`);
     
-    // Create symlink to original pickle file
-    const symlinkSuccess = await files.createSymlink(sourcePath, symlinkPath);
-    if (!symlinkSuccess) return;
+    // Link or copy the original pickle file
+    const linkSuccess = await materializer.file(sourcePath, targetPath);
+    if (!linkSuccess) return;
+    
+    // Skip the conversion when the source pickle is unchanged since the last one
+    const cacheSpec = {
+        inputs: [path.relative(projectRoot, sourcePath)],
+        outputs: [path.relative(projectRoot, jsonPath)]
+    };
+    if (cache && await cache.isFresh('pickle', filename, cacheSpec)) {
+        stats.increment('pickleCached');
+        return;
+    }
     
     try {
         // Convert pickle to JSON using Node.js pickleparser
-        const conversionSuccess = await pickle.convertToJson(symlinkPath, jsonPath);
+        const conversionSuccess = await pickle.convertToJson(materializer.resolve(targetPath), jsonPath);
         
         if (conversionSuccess) {
             stats.increment('pickleConverted');
             logger.debug(`✓ Converted ${filename}.pickle to JSON`);
+            if (cache) {
+                await cache.record('pickle', filename, cacheSpec);
+            }
         } else {
             stats.increment('pickleErrors');
         }
@@ -49,19 +83,19 @@ async function processPickleFile(filename, sourcePath, stats) {
 /**
  * Process static files (potentially SQLite)
  */
-async function processStaticFile(filename, sourcePath, stats) {
-    const symlinkPath = path.join(projectRoot, 'data/static', `${filename}.static`);
+async function processStaticFile(filename, sourcePath, stats, materializer) {
+    const targetPath = path.join(projectRoot, 'data/static', `${filename}.static`);
     
-    // Create symlink to original static file
-    const symlinkSuccess = await files.createSymlink(sourcePath, symlinkPath);
-    if (!symlinkSuccess) return;
+    // Link or copy the original static file
+    const linkSuccess = await materializer.file(sourcePath, targetPath);
+    if (!linkSuccess) return;
     
     // Check if it's a valid SQLite file
     const isValid = await files.isValidSQLite(sourcePath);
     
     if (isValid) {
         const sqlitePath = path.join(projectRoot, 'data/sqlite', `${filename}.sqlite`);
-        const sqliteSuccess = await files.createSymlink(sourcePath, sqlitePath);
+        const sqliteSuccess = await materializer.file(sourcePath, sqlitePath);
         
         if (sqliteSuccess) {
             logger.debug(`📊 SQLite: ${filename}.sqlite`);
@@ -75,11 +109,11 @@ async function processStaticFile(filename, sourcePath, stats) {
 /**
  * Process fsdbinary files
  */
-async function processFSDBinaryFile(filename, sourcePath, stats) {
-    const symlinkPath = path.join(projectRoot, 'data/fsdbinary', `${filename}.fsdbinary`);
+async function processFSDBinaryFile(filename, sourcePath, stats, materializer) {
+    const targetPath = path.join(projectRoot, 'data/fsdbinary', `${filename}.fsdbinary`);
     
-    const symlinkSuccess = await files.createSymlink(sourcePath, symlinkPath);
-    if (symlinkSuccess) {
+    const linkSuccess = await materializer.file(sourcePath, targetPath);
+    if (linkSuccess) {
         stats.increment('fsdbinaryLinked');
         logger.debug(`📦 FSDBinary: ${filename}.fsdbinary`);
     }
@@ -88,17 +122,17 @@ async function processFSDBinaryFile(filename, sourcePath, stats) {
 /**
  * Process schema files
  */
-async function processSchemaFile(filename, sourcePath, stats) {
-    const symlinkPath = path.join(projectRoot, 'data/raw', 'schema', `${filename}.schema`);
+async function processSchemaFile(filename, sourcePath, stats, materializer) {
+    const targetPath = path.join(projectRoot, 'data/raw', 'schema', `${filename}.schema`);
     
     // Ensure schema subdirectory exists
-    const schemaDir = path.dirname(symlinkPath);
+    const schemaDir = path.dirname(targetPath);
     if (!fs.existsSync(schemaDir)) {
         fs.mkdirSync(schemaDir, { recursive: true });
     }
     
-    const symlinkSuccess = await files.createSymlink(sourcePath, symlinkPath);
-    if (symlinkSuccess) {
+    const linkSuccess = await materializer.file(sourcePath, targetPath);
+    if (linkSuccess) {
         stats.increment('schemaLinked');
     }
 }
@@ -106,7 +140,7 @@ async function processSchemaFile(filename, sourcePath, stats) {
 /**
  * Process other file types
  */
-async function processOtherFile(filename, filetype, sourcePath, respath, stats) {
+async function processOtherFile(filename, filetype, sourcePath, respath, stats, materializer) {
     // Clean up the path to avoid Windows drive letter issues
     const cleanPath = respath.replace(/[:\\]/g, '_').replace(/^_+/, '');
     const rawDir = path.join(projectRoot, 'data/raw', cleanPath);
@@ -115,18 +149,23 @@ async function processOtherFile(filename, filetype, sourcePath, respath, stats)
         fs.mkdirSync(rawDir, { recursive: true });
     }
     
-    const symlinkPath = path.join(rawDir, `${filename}.${filetype}`);
-    const symlinkSuccess = await files.createSymlink(sourcePath, symlinkPath);
+    const targetPath = path.join(rawDir, `${filename}.${filetype}`);
+    const linkSuccess = await materializer.file(sourcePath, targetPath);
     
-    if (symlinkSuccess) {
+    if (linkSuccess) {
         stats.increment('otherLinked');
     }
 }
 
 /**
  * Process a single index file
+ * 
+ * @param {Object} resources - Filled with logical path → manifest entry for every line
+ * @param {Object} [filter] - createIndexFilter result; entries it rejects stay in the manifest but are not linked
+ * @param {Materializer} materializer - How matching files are linked, copied or recorded; with a store,
+ *   matching files are kept there first and linked into place from it
  */
-async function processIndexFile(indexPath, resFilesPath, stats, indexName) {
+async function processIndexFile(indexPath, resFilesPath, stats, indexName, cache, resources, filter, materializer) {
     logger.info(`📖 Processing ${indexName}...`);
     
     // Create readline interface for the index file
@@ -136,18 +175,16 @@ async function processIndexFile(indexPath, resFilesPath, stats, indexName) {
         crlfDelay: Infinity
     });
     
-    // Regex to parse index entries: logicalPath,physicalPath
-    const regex = /^(.*?)([^\/]+)\.([^,]+),([^,]+)(.*)$/;
-    
     let processedInThisFile = 0;
     
     // Process each line of the index
     for await (const line of rl) {
-        const match = line.match(regex);
-        if (!match) continue;
+        const entry = parseIndexLine(line);
+        if (!entry) continue;
         
-        const [_, respath, filename, filetype, sourceRelativePath] = match;
-        const sourceFilePath = path.join(resFilesPath, sourceRelativePath);
+        const { respath, filename, filetype, physicalPath } = entry;
+        let sourceFilePath = path.join(resFilesPath, physicalPath);
+        resources[entry.logicalPath] = manifestEntry(entry);
         
         processedInThisFile++;
         stats.increment('totalProcessed');
@@ -157,27 +194,39 @@ async function processIndexFile(indexPath, resFilesPath, stats, indexName) {
             logger.progress(`Processed ${stats.get('totalProcessed')} files...`);
         }
         
+        if (filter && !filter.accepts(entry.logicalPath, filetype)) {
+            stats.increment('filteredOut');
+            continue;
+        }
+        
         // Skip if source file doesn't exist
         if (!fs.existsSync(sourceFilePath)) {
             continue;
         }
         
                     try {
+                if (materializer.store) {
+                    const storedPath = path.join(materializer.store, physicalPath);
+                    await fs.promises.mkdir(path.dirname(storedPath), { recursive: true });
+                    if (!(await materializer.file(sourceFilePath, storedPath))) continue;
+                    sourceFilePath = storedPath;
+                }
+                
                 switch (filetype) {
                     case 'pickle':
-                        await processPickleFile(filename, sourceFilePath, stats);
+                        await processPickleFile(filename, sourceFilePath, stats, cache, materializer);
                         break;
                     case 'static':
-                        await processStaticFile(filename, sourceFilePath, stats);
+                        await processStaticFile(filename, sourceFilePath, stats, materializer);
                         break;
                     case 'fsdbinary':
-                        await processFSDBinaryFile(filename, sourceFilePath, stats);
+                        await processFSDBinaryFile(filename, sourceFilePath, stats, materializer);
                         break;
                     case 'schema':
-                        await processSchemaFile(filename, sourceFilePath, stats);
+                        await processSchemaFile(filename, sourceFilePath, stats, materializer);
                         break;
                     default:
-                        await processOtherFile(filename, filetype, sourceFilePath, respath.replace('res:', ''), stats);
+                        await processOtherFile(filename, filetype, sourceFilePath, respath.replace('res:', ''), stats, materializer);
                         break;
                 }
             } catch (error) {
@@ -189,32 +238,123 @@ async function processIndexFile(indexPath, resFilesPath, stats, indexName) {
     return processedInThisFile;
 }
 
+/**
+ * Both index files: where the index step links them and where they are in the installation
+ */
+function indexFileLocations(eveFrontierPath) {
+    return [
+        {
+            name: 'index_stillness.txt',
+            path: path.join(projectRoot, 'data/raw/index_stillness.txt'),
+            sourcePath: path.join(eveFrontierPath, 'index_stillness.txt')
+        },
+        {
+            name: 'resfileindex.txt',
+            path: path.join(projectRoot, 'data/raw/resfileindex.txt'),
+            sourcePath: path.join(eveFrontierPath, 'stillness', 'resfileindex.txt')
+        }
+    ];
+}
+
+function logFilters(filters) {
+    for (const key of INDEX_FILTER_KEYS) {
+        if (filters[key].length > 0) {
+            logger.info(`🔎 ${key}: ${filters[key].join(', ')}`);
+        }
+    }
+}
+
+/**
+ * Count what the filters would link, per filetype, without linking anything
+ * 
+ * @param {Object} filters - resolveIndexFilters result
+ */
+export async function previewFileIndexing(filters) {
+    const { eveFrontierPath } = loadConfiguration();
+    const filter = createIndexFilter(filters);
+    const counts = {};
+    
+    logger.info('\n🔎 Index filter preview (nothing is linked)');
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    if (hasIndexFilters(filters)) {
+        logFilters(filters);
+    } else {
+        logger.info('No filters set: every entry is linked');
+    }
+    
+    for (const indexFile of indexFileLocations(eveFrontierPath)) {
+        const indexPath = [indexFile.path, indexFile.sourcePath].find(candidate => files.exists(candidate));
+        if (!indexPath) {
+            logger.warning(`Index file not found: ${indexFile.name}`);
+            continue;
+        }
+        
+        const rl = readline.createInterface({ input: fs.createReadStream(indexPath), crlfDelay: Infinity });
+        for await (const line of rl) {
+            const entry = parseIndexLine(line);
+            if (!entry) continue;
+            
+            const type = entry.filetype.toLowerCase();
+            counts[type] ??= { entries: 0, linked: 0 };
+            counts[type].entries++;
+            if (filter.accepts(entry.logicalPath, entry.filetype)) counts[type].linked++;
+        }
+    }
+    
+    const rows = Object.entries(counts).sort(([, a], [, b]) => b.entries - a.entries);
+    const total = rows.reduce((sum, [, count]) => ({
+        entries: sum.entries + count.entries,
+        linked: sum.linked + count.linked
+    }), { entries: 0, linked: 0 });
+    
+    logger.info(`\n   ${'filetype'.padEnd(16)} ${'entries'.padStart(10)} ${'linked'.padStart(10)} ${'skipped'.padStart(10)}`);
+    for (const [filetype, count] of [...rows, ['total', total]]) {
+        logger.info(`   ${filetype.padEnd(16)} ${String(count.entries).padStart(10)} ${String(count.linked).padStart(10)} ${String(count.entries - count.linked).padStart(10)}`);
+    }
+    
+    for (const glob of filter.unusedGlobs()) {
+        logger.warning(`"${glob}" matches no entry`);
+    }
+    
+    return { filetypes: Object.fromEntries(rows), ...total };
+}
+
 /**
  * Run the file indexing process
+ * 
+ * @param {Object} options
+ * @param {BuildCache} [options.cache] - Skips pickle conversions whose source is unchanged
+ * @param {Object} [options.filters] - resolveIndexFilters result; only matching entries are linked
+ * @param {Object} [options.materialize] - resolveMaterializeOptions result; how files are made available
  */
-export async function runFileIndexing() {
+export async function runFileIndexing(options = {}) {
     try {
         const config = loadConfiguration();
         const eveFrontierPath = config.eveFrontierPath;
+        const indexFiles = indexFileLocations(eveFrontierPath);
+        const filters = options.filters || resolveIndexFilters();
+        const filter = hasIndexFilters(filters) ? createIndexFilter(filters) : null;
+        const materializer = new Materializer(options.materialize || resolveMaterializeOptions());
         
-        // Define both index files to process
-        const indexFiles = [
-            {
-                name: 'index_stillness.txt',
-                path: path.join(projectRoot, 'data/raw/index_stillness.txt'),
-                sourcePath: path.join(eveFrontierPath, 'index_stillness.txt')
-            },
-            {
-                name: 'resfileindex.txt',
-                path: path.join(projectRoot, 'data/raw/resfileindex.txt'),
-                sourcePath: path.join(eveFrontierPath, 'stillness', 'resfileindex.txt')
-            }
-        ];
-        
-        const resFilesPath = path.join(projectRoot, 'data/raw/ResFiles');
+        // Hard links and copies read the installation and store what the filters accept in
+        // data/raw/ResFiles. Otherwise ResFiles is read through setup's symlink or record (in
+        // manifest mode the index files too), unless an earlier run left a store there.
+        const resFilesTarget = path.join(projectRoot, 'data/raw/ResFiles');
+        const stored = fs.lstatSync(resFilesTarget, { throwIfNoEntry: false })?.isDirectory();
+        const resFilesPath = materializer.stores || stored ?
+            path.join(eveFrontierPath, 'ResFiles') :
+            materializer.resolve(resFilesTarget);
+        if (materializer.stores) {
+            await materializer.prepareStore(resFilesTarget);
+            materializer.mark('data/raw/ResFiles');
+        }
         
         logger.info('\n📖 Processing file indexes...');
         logger.info(`📁 ResFiles: ${resFilesPath}`);
+        logger.info(`🔗 Materialization: ${materializer.mode}`);
+        if (filter) {
+            logFilters(filters);
+        }
         
         // Verify ResFiles exists
         files.requireExists(resFilesPath, 'ResFiles directory not found. Run setup first.');
@@ -222,13 +362,17 @@ export async function runFileIndexing() {
         // Check which index files are available
         const availableIndexes = [];
         for (const indexFile of indexFiles) {
+            indexFile.path = materializer.resolve(indexFile.path);
             if (files.exists(indexFile.path) || files.exists(indexFile.sourcePath)) {
                 availableIndexes.push(indexFile);
                 logger.info(`📂 Found ${indexFile.name}`);
                 
-                // Create symlink if source exists but target doesn't
+                // Link the index file if source exists but target doesn't
                 if (!files.exists(indexFile.path) && files.exists(indexFile.sourcePath)) {
-                    await files.createSymlink(indexFile.sourcePath, indexFile.path);
+                    if (await materializer.file(indexFile.sourcePath, indexFile.path)) {
+                        materializer.mark(materializer.keyOf(indexFile.path));
+                    }
+                    indexFile.path = materializer.resolve(indexFile.path);
                 }
             } else {
                 logger.warning(`⚠️  Index file not found: ${indexFile.name}`);
@@ -242,19 +386,62 @@ export async function runFileIndexing() {
         // Ensure directory structure
         ensureDirectories(['data/raw/schema']);
         
+        // Record which client build the data comes from
+        const buildInfo = await readBuildInfo(eveFrontierPath, availableIndexes.map(indexFile => ({
+            name: indexFile.name,
+            path: files.exists(indexFile.path) ? indexFile.path : indexFile.sourcePath
+        })));
+        json.save(path.join(projectRoot, BUILD_INFO_FILE), buildInfo, `Build ${buildInfo.build}`);
+        if (buildInfo.source === 'index files') {
+            logger.warning(`No build number in ${path.join(eveFrontierPath, 'stillness', 'start.ini')}; identifying the build by its index files`);
+        }
+        
         // Statistics tracking
         const stats = new StatsCollector();
         
         // Process all available index files
         let totalIndexEntries = 0;
+        const manifestIndexes = {};
         for (const indexFile of availableIndexes) {
+            const resources = {};
             const entriesProcessed = await processIndexFile(
                 indexFile.path, 
                 resFilesPath, 
                 stats, 
-                indexFile.name
+                indexFile.name,
+                options.cache,
+                resources,
+                filter,
+                materializer
             );
             totalIndexEntries += entriesProcessed;
+            manifestIndexes[indexFile.name] = {
+                entries: Object.keys(resources).length,
+                totalSize: Object.values(resources).reduce((sum, values) => sum + (values[2] || 0), 0),
+                resources
+            };
+        }
+        
+        // Hundreds of thousands of entries: written without indentation
+        fs.writeFileSync(path.join(projectRoot, INDEX_MANIFEST_FILE), JSON.stringify({
+            generated: new Date().toISOString(),
+            build: buildInfo.build,
+            columns: MANIFEST_COLUMNS,
+            filters,
+            indexes: manifestIndexes
+        }));
+        logger.success(`Generated ${path.basename(INDEX_MANIFEST_FILE)}: ${totalIndexEntries} indexed resources`);
+        
+        materializer.mark(LINKS_TARGET);
+        materializer.save();
+        for (const [key, count] of Object.entries(materializer.counts)) {
+            stats.set(`materialized${key[0].toUpperCase()}${key.slice(1)}`, count);
+        }
+        
+        if (filter) {
+            for (const glob of filter.unusedGlobs()) {
+                logger.warning(`Index filter "${glob}" matches no entry`);
+            }
         }
         
         stats.set('totalIndexFiles', availableIndexes.length);
@@ -263,10 +450,45 @@ export async function runFileIndexing() {
         logger.success(`\nProcessed ${availableIndexes.length} index files with ${totalIndexEntries} total entries`);
         stats.logSummary('File Processing Summary');
         
-        return stats.summary();
+        return { ...stats.summary(), build: buildInfo.build, version: buildInfo.version };
         
     } catch (error) {
         logger.error(`File indexing failed: ${error.message}`);
         throw error;
     }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Pipeline step declaration
+ */
+export const fileIndexingStep = {
+    name: 'index',
+    resultKey: 'indexing',
+    title: 'File Indexing and Linking',
+    icon: '📖',
+    dependsOn: ['setup'],
+    // In manifest mode data/raw/ResFiles is only recorded, not created
+    inputs: options => resolveMaterializeOptions(options).mode === 'manifest' ?
+        ['.eve-frontier-path', MATERIALIZED_FILE] :
+        ['.eve-frontier-path', 'data/raw/ResFiles'],
+    optionalInputs: ['data/raw/index_stillness.txt', 'data/raw/resfileindex.txt'],
+    outputs: [
+        'data/raw/schema',
+        'data/pickle/localization_fsd_en-us.pickle',
+        'data/json/localization_fsd_en-us.json',
+        'data/json/localization_fsd_main.json',
+        BUILD_INFO_FILE,
+        INDEX_MANIFEST_FILE
+    ],
+    params: options => ({
+        filters: resolveIndexFilters(options.indexFilters),
+        materialize: resolveMaterializeOptions(options)
+    }),
+    cached: true,
+    source: 'lib/processors/file-indexing.js',
+    run: ({ options, cache }) => runFileIndexing({
+        cache,
+        filters: resolveIndexFilters(options.indexFilters),
+        materialize: resolveMaterializeOptions(options)
+    })
+};
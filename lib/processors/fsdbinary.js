@@ -1,32 +1,512 @@
 /**
  * FSDBinary Processor - Convert FSDBinary files to JSON
  * 
- * Handles running the Python FSDBinary loader to convert game data files
+ * Converts game data files either through the game's Python Loader modules
+ * or through the pure-JavaScript reader driven by the linked .schema files
  */
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { 
     logger, 
     projectRoot, 
     processes, 
-    files 
+    files, 
+    json, 
+    StatsCollector 
 } from '../utils.js';
+import { loadSchema, extractEmbeddedSchema } from '../fsd/schema.js';
+import { FSDReader } from '../fsd/reader.js';
+import { sourceModules } from '../build-cache.js';
+import { LINKS_TARGET, materializedMode } from '../materialize.js';
+
+export const FSD_BACKENDS = ['python', 'node'];
+
+/**
+ * When a conversion failure fails the whole step:
+ * required - only if a file downstream steps depend on failed to convert
+ * any      - if any file failed
+ * never    - report failures but always continue
+ */
+export const FAILURE_POLICIES = ['required', 'any', 'never'];
+
+const REQUIRED_FILES = ['types.fsdbinary', 'blueprints.fsdbinary'];
+
+const REPORT_PATH = 'data/extracted/fsd_conversion_report.json';
+const REPORT_FILE = path.join(projectRoot, REPORT_PATH);
+
+export const DEFAULT_WORKERS = Math.min(4, os.cpus().length);
+
+const dataNameOf = name => name.toLowerCase().replace(/\.(fsdbinary|json)$/, '');
+
+/**
+ * Keep only the items whose data name (e.g. 'types') was requested
+ */
+function selectDataNames(items, only, nameOf) {
+    if (!only || only.length === 0) return items;
+    
+    const wanted = new Set(only.map(dataNameOf));
+    const selected = items.filter(item => wanted.has(nameOf(item).toLowerCase()));
+    
+    const found = new Set(selected.map(item => nameOf(item).toLowerCase()));
+    for (const name of wanted) {
+        if (!found.has(name)) {
+            logger.warning(`No FSDBinary data named '${name}'`);
+        }
+    }
+    
+    return selected;
+}
+
+/**
+ * Find the game's Loader modules in bin64, with the size of the file each converts
+ */
+function discoverLoaders(only) {
+    const bin64Dir = path.join(projectRoot, 'bin64');
+    files.requireExists(bin64Dir, 'bin64 not found. Run setup first.');
+    
+    const loaders = fs.readdirSync(bin64Dir)
+        .filter(file => file.endsWith('Loader.pyd'))
+        .map(file => {
+            const loaderName = path.basename(file, '.pyd');
+            const dataName = loaderName.replace('Loader', '').toLowerCase();
+            const dataPath = path.join(projectRoot, 'data/fsdbinary', `${dataName}.fsdbinary`);
+            return {
+                loaderName,
+                dataName,
+                size: files.exists(dataPath) ? fs.statSync(dataPath).size : 0
+            };
+        });
+    
+    return selectDataNames(loaders, only, loader => loader.dataName);
+}
+
+/**
+ * Split loaders into balanced batches, largest files first onto the least loaded worker
+ */
+function partitionLoaders(loaders, workerCount) {
+    const batches = Array.from({ length: Math.min(workerCount, loaders.length) }, () => ({ loaders: [], size: 0 }));
+    
+    for (const loader of [...loaders].sort((a, b) => b.size - a.size)) {
+        const batch = batches.reduce((smallest, candidate) => candidate.size < smallest.size ? candidate : smallest);
+        batch.loaders.push(loader);
+        batch.size += loader.size;
+    }
+    
+    return batches.map(batch => batch.loaders);
+}
+
+/**
+ * Inputs a single file's conversion depends on, per backend
+ */
+function conversionCacheSpec(backend, dataName, loaderName) {
+    const inputs = [`data/fsdbinary/${dataName}.fsdbinary`];
+    if (backend === 'python') {
+        inputs.push(`bin64/${loaderName}.pyd`, 'scripts/execute_loaders.py', 'data/pickle/localization_fsd_en-us.pickle');
+    } else {
+        inputs.push(`data/raw/schema/${dataName}.schema`, ...sourceModules(['lib/fsd/reader.js', 'lib/fsd/schema.js']), 'data/json/localization_fsd_en-us.json');
+    }
+    
+    return {
+        inputs,
+        outputs: [`data/json/${dataName}.json`],
+        params: { backend }
+    };
+}
+
+/**
+ * Split items into those with a fresh cached conversion (recorded into fileResults) and those to convert
+ */
+async function partitionCached(items, cache, specOf, fileResults) {
+    if (!cache) return items;
+    
+    const stale = [];
+    for (const item of items) {
+        const { dataFile, spec } = specOf(item);
+        if (await cache.isFresh('fsdbinary', dataFile, spec)) {
+            fileResults[dataFile] = { ...cache.getResult('fsdbinary', dataFile), status: 'cached' };
+        } else {
+            stale.push(item);
+        }
+    }
+    
+    const cachedCount = items.length - stale.length;
+    if (cachedCount > 0) {
+        logger.info(`♻️  ${cachedCount} files unchanged since their last conversion - reusing JSON`);
+    }
+    
+    return stale;
+}
+
+/**
+ * Record successful conversions in the build cache
+ */
+async function recordConverted(items, cache, specOf, fileResults) {
+    if (!cache) return;
+    
+    for (const item of items) {
+        const { dataFile, spec } = specOf(item);
+        if (fileResults[dataFile]?.status === 'converted') {
+            await cache.record('fsdbinary', dataFile, { ...spec, result: fileResults[dataFile] });
+        }
+    }
+}
+
+/**
+ * Merge per-file entries into the conversion report, keeping entries for files not converted this run
+ */
+function mergeConversionReport(entries) {
+    const report = json.load(REPORT_FILE, false) || {};
+    fs.mkdirSync(path.dirname(REPORT_FILE), { recursive: true });
+    fs.writeFileSync(REPORT_FILE, JSON.stringify({ ...report, ...entries }, null, 4));
+}
+
+/**
+ * Run the Python loader script against the game's bin64 modules
+ * 
+ * Loaders are spread over a pool of Python processes, each converting its
+ * own batch and streaming events back. A worker that dies only fails the
+ * loaders it had not finished.
+ */
+async function runPythonBackend({ only, workers, cache }) {
+    const pythonScript = path.join(projectRoot, 'scripts/execute_loaders.py');
+    
+    // Verify the Python script exists
+    files.requireExists(pythonScript, 'execute_loaders.py not found');
+    
+    const fileResults = {};
+    const specOf = loader => ({
+        dataFile: `${loader.dataName}.fsdbinary`,
+        spec: conversionCacheSpec('python', loader.dataName, loader.loaderName)
+    });
+    
+    const loaders = await partitionCached(discoverLoaders(only), cache, specOf, fileResults);
+    if (loaders.length === 0) {
+        if (Object.keys(fileResults).length === 0) {
+            logger.warning('No Loader modules selected - nothing to convert');
+        }
+        return fileResults;
+    }
+    
+    const batches = partitionLoaders(loaders, workers);
+    logger.info(`Converting ${loaders.length} files with ${batches.length} Python workers`);
+    
+    // Run the Python conversions, collecting per-file results from their event streams
+    const workerReports = batches.map((batch, index) =>
+        path.join(os.tmpdir(), `fsd_conversion_report.${process.pid}.worker${index}.json`)
+    );
+    
+    const outcomes = await Promise.allSettled(batches.map((batch, index) =>
+        processes.runPython(pythonScript, {
+            args: [
+                '--events',
+                '--only', batch.map(loader => loader.loaderName).join(','),
+                '--report', workerReports[index]
+            ],
+            onEvent: event => recordLoaderEvent(fileResults, event)
+        })
+    ));
+    
+    // Loaders a worker never reported back on died with it
+    batches.forEach((batch, index) => {
+        const outcome = outcomes[index];
+        for (const loader of batch) {
+            const dataFile = `${loader.dataName}.fsdbinary`;
+            const result = fileResults[dataFile];
+            if (!result || result.status === 'running') {
+                fileResults[dataFile] = {
+                    loader: loader.loaderName,
+                    status: 'failed',
+                    error: outcome.status === 'rejected' ? outcome.reason.message : 'Loader did not report a result'
+                };
+            }
+        }
+    });
+    
+    // Fold the workers' reports into the shared conversion report
+    const entries = {};
+    for (const workerReport of workerReports) {
+        if (files.exists(workerReport)) {
+            Object.assign(entries, json.load(workerReport, false) || {});
+            fs.unlinkSync(workerReport);
+        }
+    }
+    mergeConversionReport(entries);
+    await recordConverted(loaders, cache, specOf, fileResults);
+    
+    return fileResults;
+}
 
 /**
- * Run FSDBinary to JSON conversion using our Python script
+ * Fold one event from execute_loaders.py --events into the per-file results
  */
-export async function runFSDBinaryConversion() {
+function recordLoaderEvent(fileResults, event) {
+    switch (event.event) {
+        case 'begin':
+            logger.info(`Python loader found ${event.loaders} loaders (${event.strings} localization strings)`);
+            break;
+        case 'start':
+            fileResults[event.dataName] = { loader: event.loader, status: 'running' };
+            logger.progress(`Converting ${event.dataName}...`);
+            break;
+        case 'success':
+            fileResults[event.dataName] = {
+                loader: event.loader,
+                status: 'converted',
+                rows: event.rows,
+                outputBytes: event.outputBytes,
+                vectorFields: event.vectorFields,
+                undecodableFields: event.undecodableFields,
+                seconds: event.seconds
+            };
+            logger.success(`${event.dataName}: ${event.rows ?? '-'} rows, ${(event.outputBytes / 1024).toFixed(1)}KB`);
+            break;
+        case 'error':
+            fileResults[event.dataName] = {
+                loader: event.loader,
+                status: 'failed',
+                error: event.error,
+                seconds: event.seconds
+            };
+            logger.error(`${event.dataName}: ${event.error}`);
+            break;
+    }
+}
+
+/**
+ * Decode every linked .fsdbinary file with its .schema in Node
+ */
+async function runNodeBackend({ only, cache }) {
+    const fsdbinaryDir = path.join(projectRoot, 'data/fsdbinary');
+    const schemaDir = path.join(projectRoot, 'data/raw/schema');
+    const jsonDir = path.join(projectRoot, 'data/json');
+    const stats = new StatsCollector();
+    
+    files.requireExists(fsdbinaryDir, 'data/fsdbinary not found. Run file indexing first.');
+    
+    // Localization strings resolve *NameID fields, as in the Python loader
+    const strings = json.load(path.join(jsonDir, 'localization_fsd_en-us.json'), false);
+    if (!strings) {
+        logger.warning('localization_fsd_en-us.json not found - name IDs will be left unresolved');
+    }
+    
+    const conversionReport = {};
+    const fileResults = {};
+    const specOf = dataFile => ({
+        dataFile,
+        spec: conversionCacheSpec('node', path.basename(dataFile, '.fsdbinary'))
+    });
+    
+    const dataFiles = await partitionCached(
+        selectDataNames(
+            fs.readdirSync(fsdbinaryDir).filter(file => file.endsWith('.fsdbinary')),
+            only,
+            file => path.basename(file, '.fsdbinary')
+        ),
+        cache,
+        specOf,
+        fileResults
+    );
+    logger.info(`Found ${dataFiles.length} FSDBinary files`);
+    
+    for (const dataFile of dataFiles) {
+        const dataName = path.basename(dataFile, '.fsdbinary');
+        const schemaPath = path.join(schemaDir, `${dataName}.schema`);
+        
+        const started = Date.now();
+        
+        try {
+            let buffer = await fs.promises.readFile(path.join(fsdbinaryDir, dataFile));
+            let schema;
+            
+            if (files.exists(schemaPath)) {
+                schema = await loadSchema(schemaPath);
+            } else {
+                const embedded = await extractEmbeddedSchema(buffer);
+                if (!embedded) {
+                    logger.warning(`No schema for ${dataFile}, skipping`);
+                    fileResults[dataFile] = { status: 'skipped', error: 'No schema available' };
+                    stats.increment('skippedNoSchema');
+                    continue;
+                }
+                ({ schema, data: buffer } = embedded);
+            }
+            
+            const reader = new FSDReader(buffer, { strings });
+            const data = reader.decode(schema);
+            conversionReport[dataFile] = {
+                vectorFields: Array.from(reader.vectorFields).sort(),
+                undecodableFields: Object.fromEntries(reader.unsupported)
+            };
+            if (reader.unsupported.has('')) {
+                throw new Error(`Cannot decode the root value (${reader.unsupported.get('')})`);
+            }
+            
+            const outputFile = path.join(jsonDir, `${dataName}.json`);
+            fs.writeFileSync(outputFile, JSON.stringify(data, null, 4));
+            logger.debug(`✓ Converted ${dataFile} to ${path.basename(outputFile)}`);
+            stats.increment('converted');
+            
+            fileResults[dataFile] = {
+                status: 'converted',
+                rows: data && typeof data === 'object' ? Object.keys(data).length : null,
+                outputBytes: fs.statSync(outputFile).size,
+                vectorFields: reader.vectorFields.size,
+                undecodableFields: reader.unsupported.size,
+                seconds: Number(((Date.now() - started) / 1000).toFixed(2))
+            };
+        } catch (error) {
+            logger.error(`Error decoding ${dataFile}: ${error.message}`);
+            stats.increment('errors');
+            fileResults[dataFile] = {
+                status: 'failed',
+                error: error.message,
+                seconds: Number(((Date.now() - started) / 1000).toFixed(2))
+            };
+        }
+    }
+    
+    mergeConversionReport(conversionReport);
+    await recordConverted(dataFiles, cache, specOf, fileResults);
+    stats.logSummary('Node FSDBinary Conversion Summary');
+    
+    return fileResults;
+}
+
+/**
+ * Print the per-file result table
+ */
+function logResultTable(fileResults) {
+    logger.info('\n📋 Conversion Results:');
+    for (const [dataFile, result] of Object.entries(fileResults).sort(([a], [b]) => a.localeCompare(b))) {
+        const detail = ['converted', 'cached'].includes(result.status) ?
+            `${result.rows ?? '-'} rows, ${(result.outputBytes / 1024).toFixed(1)}KB, ${result.seconds}s` :
+            result.error;
+        logger.info(`   ${dataFile.padEnd(40)} ${result.status.padEnd(10)} ${detail}`);
+    }
+}
+
+/**
+ * Fail the step when the per-file results violate the failure policy
+ * 
+ * A required file that was selected but has no result at all (no Loader
+ * module, or no data file) counts as failed.
+ */
+function applyFailurePolicy(fileResults, policy, only = []) {
+    const failed = Object.keys(fileResults).filter(dataFile => fileResults[dataFile].status === 'failed');
+    const wanted = new Set(only.map(dataNameOf));
+    const failedRequired = REQUIRED_FILES
+        .filter(dataFile => wanted.size === 0 || wanted.has(dataNameOf(dataFile)))
+        .filter(dataFile => !['converted', 'cached'].includes(fileResults[dataFile]?.status))
+        .map(dataFile => fileResults[dataFile] ? dataFile : `${dataFile} (not found)`);
+    
+    if (policy === 'any' && failed.length > 0) {
+        return `${failed.length} FSDBinary conversions failed: ${failed.join(', ')}`;
+    }
+    if (policy === 'required' && failedRequired.length > 0) {
+        return `Required FSDBinary conversions did not complete: ${failedRequired.join(', ')}`;
+    }
+    
+    if (failed.length > 0) {
+        logger.warning(`${failed.length} FSDBinary conversions failed (allowed by '${policy}' policy): ${failed.join(', ')}`);
+    }
+    return null;
+}
+
+/**
+ * Summarize the conversion report written by either backend
+ * 
+ * Both backends record, per converted file, the fields decoded as vectors
+ * and the fields whose type could not be decoded (emitted as null).
+ */
+function summarizeConversionReport() {
+    const report = json.load(REPORT_FILE, false);
+    if (!report) {
+        logger.warning('No conversion report found - cannot check for undecodable fields');
+        return null;
+    }
+    
+    const summary = {
+        filesConverted: Object.keys(report).length,
+        vectorFields: 0,
+        undecodable: {}
+    };
+    
+    for (const [dataFile, entry] of Object.entries(report)) {
+        summary.vectorFields += entry.vectorFields.length;
+        
+        if (Object.keys(entry.undecodableFields).length > 0) {
+            summary.undecodable[dataFile] = entry.undecodableFields;
+        }
+    }
+    
+    const affectedFiles = Object.keys(summary.undecodable);
+    if (affectedFiles.length === 0) {
+        logger.success(`All fields decoded (${summary.vectorFields} vector fields)`);
+    } else {
+        logger.warning(`${affectedFiles.length} files still contain undecodable fields (emitted as null):`);
+        for (const dataFile of affectedFiles) {
+            for (const [field, type] of Object.entries(summary.undecodable[dataFile])) {
+                logger.warning(`   ${dataFile}: ${field || '<root>'} (${type})`);
+            }
+        }
+    }
+    
+    return summary;
+}
+
+/**
+ * Run FSDBinary to JSON conversion
+ * 
+ * @param {Object} options
+ * @param {string} [options.backend='python'] - 'python' (game Loader modules) or 'node' (schema-driven reader)
+ * @param {string} [options.failurePolicy='required'] - One of FAILURE_POLICIES
+ * @param {string[]} [options.only] - Data names to convert (e.g. ['types', 'blueprints']); all when empty
+ * @param {number} [options.workers=DEFAULT_WORKERS] - Python worker processes to convert with
+ * @param {BuildCache} [options.cache] - Skips files whose inputs are unchanged since their last conversion
+ */
+export async function runFSDBinaryConversion(options = {}) {
     try {
-        logger.info('\n🔄 Converting FSDBinary files to JSON...');
+        const backend = options.backend || 'python';
+        if (!FSD_BACKENDS.includes(backend)) {
+            throw new Error(`Unknown FSDBinary backend: ${backend} (expected ${FSD_BACKENDS.join(', ')})`);
+        }
         
-        const pythonScript = path.join(projectRoot, 'scripts/execute_loaders.py');
+        const failurePolicy = options.failurePolicy || 'required';
+        if (!FAILURE_POLICIES.includes(failurePolicy)) {
+            throw new Error(`Unknown failure policy: ${failurePolicy} (expected ${FAILURE_POLICIES.join(', ')})`);
+        }
         
-        // Verify the Python script exists
-        files.requireExists(pythonScript, 'execute_loaders.py not found');
+        // Both backends read data/fsdbinary/ directly, and the loaders bin64/
+        if (backend === 'python' && materializedMode('bin64') === 'manifest') {
+            throw new Error('bin64 was only recorded (setup ran with --materialize manifest). Rerun setup with symlink, hardlink or copy.');
+        }
+        if (materializedMode(LINKS_TARGET) === 'manifest') {
+            throw new Error('data/fsdbinary was only recorded (the index step ran with --materialize manifest). Rerun the index step with symlink, hardlink or copy.');
+        }
         
-        // Run the Python conversion
-        await processes.runPython(pythonScript);
+        logger.info(`\n🔄 Converting FSDBinary files to JSON (${backend} backend)...`);
+        
+        const only = options.only || [];
+        if (only.length > 0) {
+            logger.info(`Converting only: ${only.join(', ')}`);
+        }
+        
+        const fileResults = backend === 'node' ?
+            await runNodeBackend({ only, cache: options.cache }) :
+            await runPythonBackend({ only, workers: options.workers || DEFAULT_WORKERS, cache: options.cache });
+        
+        logResultTable(fileResults);
+        
+        const conversionReport = summarizeConversionReport();
+        
+        const failure = applyFailurePolicy(fileResults, failurePolicy, only);
+        if (failure) {
+            const error = new Error(failure);
+            error.stepResults = { fsdbinary: { backend, failurePolicy, files: fileResults, conversionReport } };
+            throw error;
+        }
         
         logger.success('FSDBinary conversion completed successfully');
         
@@ -51,10 +531,44 @@ export async function runFSDBinaryConversion() {
             }
         }
         
+        results.backend = backend;
+        results.failurePolicy = failurePolicy;
+        results.files = fileResults;
+        results.conversionReport = conversionReport;
+        
         return results;
         
     } catch (error) {
         logger.error(`FSDBinary conversion failed: ${error.message}`);
         throw error;
     }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Pipeline step declaration
+ * 
+ * Not cached as a whole: each data file is cached by the conversion itself.
+ */
+export const fsdbinaryStep = {
+    name: 'fsdbinary',
+    title: 'FSDBinary to JSON Conversion',
+    icon: '🐍',
+    dependsOn: ['index'],
+    inputs: options => options.fsdBackend === 'node' ?
+        ['data/raw/schema'] :
+        ['.python312-path', 'bin64', 'data/pickle/localization_fsd_en-us.pickle'],
+    optionalInputs: options => options.fsdBackend === 'node' ? ['data/json/localization_fsd_en-us.json'] : [],
+    outputs: [
+        'data/json/types.json',
+        'data/json/blueprints.json',
+        'data/json/starmapcache.json',
+        REPORT_PATH
+    ],
+    run: ({ options, cache }) => runFSDBinaryConversion({
+        backend: options.fsdBackend,
+        failurePolicy: options.fsdFailurePolicy,
+        only: options.stepArgs.fsdbinary,
+        workers: options.fsdWorkers,
+        cache
+    })
+};
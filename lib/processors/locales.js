@@ -0,0 +1,211 @@
+/**
+ * Locales Processor - Per-language name tables
+ * 
+ * Builds type, system, constellation and region names for each converted
+ * localization table. Text a locale lacks falls back to English, and each
+ * table reports how much of it the locale covers.
+ */
+
+import path from 'path';
+import { 
+    logger, 
+    projectRoot, 
+    json, 
+    files 
+} from '../utils.js';
+import { 
+    FALLBACK_LOCALE, 
+    MAIN_LOCALIZATION_FILE, 
+    localizationFile, 
+    listLocales, 
+    resolveLocales, 
+    localizedText, 
+    mapStellarMessageIds 
+} from '../localization.js';
+
+export const LOCALE_COVERAGE_FILE = 'data/extracted/localization_coverage.json';
+export const NAME_TABLES = ['types', 'systems', 'constellations', 'regions'];
+
+/**
+ * Path of a locale's name tables, relative to the project root
+ */
+export function localizedNamesFile(locale) {
+    return `data/extracted/localized_names_${locale}.json`;
+}
+
+/**
+ * Message IDs and English names of types
+ * 
+ * types.json resolves typeNameID to English text; the loaders keep the
+ * message ID in _messageIDs.typeNameID.
+ */
+function typeNameSources(types) {
+    const messageIds = new Map();
+    const englishNames = new Map();
+    
+    for (const [typeId, typeData] of Object.entries(types)) {
+        const id = parseInt(typeId);
+        if (typeData._messageIDs?.typeNameID !== undefined) {
+            messageIds.set(id, typeData._messageIDs.typeNameID);
+        }
+        if (typeof typeData.typeNameID === 'string' && typeData.typeNameID !== '') {
+            englishNames.set(id, typeData.typeNameID);
+        }
+    }
+    
+    return { messageIds, englishNames };
+}
+
+function percentOf(part, total) {
+    return total > 0 ? Math.round(part / total * 1000) / 10 : null;
+}
+
+/**
+ * Names of one kind in a locale, with English where the locale has no text
+ * 
+ * @param {Map<number, number>} messageIds - Object ID → message ID
+ * @param {Object} table - The locale's language table
+ * @param {Object} fallbackTable - The English language table
+ * @param {Map<number, string>} [baseNames] - Names to use when neither table has the message
+ */
+function buildNameTable(messageIds, table, fallbackTable, baseNames = new Map()) {
+    const names = {};
+    let translated = 0;
+    
+    for (const [id, messageId] of messageIds) {
+        const text = localizedText(table, messageId);
+        if (text) {
+            names[id] = text;
+            translated++;
+            continue;
+        }
+        const fallback = localizedText(fallbackTable, messageId) ?? baseNames.get(id);
+        if (fallback) {
+            names[id] = fallback;
+        }
+    }
+    
+    // Objects without a message ID can only keep their base name
+    for (const [id, name] of baseNames) {
+        if (!messageIds.has(id)) names[id] = name;
+    }
+    
+    return {
+        names,
+        coverage: { total: messageIds.size, translated, percent: percentOf(translated, messageIds.size) }
+    };
+}
+
+/**
+ * Run localized name extraction
+ * 
+ * @param {Object} [options]
+ * @param {string[]} [options.locales=['all']] - Locale codes, or 'all' for every converted table
+ */
+export async function runLocaleExtraction({ locales = ['all'] } = {}) {
+    try {
+        logger.info('\n🌐 Building localized name tables...');
+        
+        const mainFile = path.join(projectRoot, MAIN_LOCALIZATION_FILE);
+        const typesFile = path.join(projectRoot, 'data/json/types.json');
+        files.requireExists(mainFile, 'localization_fsd_main.json not found. Run the index step first.');
+        files.requireExists(typesFile, 'types.json not found. Run FSDBinary conversion first.');
+        
+        const selected = resolveLocales(locales);
+        const available = listLocales();
+        const missing = selected.filter(locale => !available.includes(locale));
+        if (selected.length === 0) {
+            throw new Error('No localization tables found in data/json. Run the index step first.');
+        }
+        if (missing.length > 0) {
+            throw new Error(`No localization table for ${missing.join(', ')} (available: ${available.join(', ') || 'none'})`);
+        }
+        
+        const stellarMessageIds = mapStellarMessageIds(json.load(mainFile));
+        const { messageIds: typeMessageIds, englishNames } = typeNameSources(json.load(typesFile));
+        if (typeMessageIds.size === 0) {
+            logger.warning('types.json has no message IDs (_messageIDs), so type names stay in English. Rerun the fsdbinary step to localize them.');
+        }
+        
+        const fallbackFile = path.join(projectRoot, localizationFile(FALLBACK_LOCALE));
+        const fallbackTable = json.load(fallbackFile, false);
+        if (!fallbackTable) {
+            logger.warning(`No ${FALLBACK_LOCALE} table to fall back on; missing text is left out`);
+        }
+        
+        const sources = {
+            types: [typeMessageIds, englishNames],
+            systems: [stellarMessageIds.systems],
+            constellations: [stellarMessageIds.constellations],
+            regions: [stellarMessageIds.regions]
+        };
+        const coverage = {};
+        
+        for (const locale of selected) {
+            const table = locale === FALLBACK_LOCALE ?
+                fallbackTable :
+                json.load(path.join(projectRoot, localizationFile(locale)));
+            const output = { locale, fallbackLocale: FALLBACK_LOCALE, coverage: {} };
+            
+            for (const kind of NAME_TABLES) {
+                const [messageIds, baseNames] = sources[kind];
+                const result = buildNameTable(messageIds, table, fallbackTable, baseNames);
+                output.coverage[kind] = result.coverage;
+                output[kind] = result.names;
+            }
+            
+            const total = NAME_TABLES.reduce((sum, kind) => sum + output.coverage[kind].total, 0);
+            const translated = NAME_TABLES.reduce((sum, kind) => sum + output.coverage[kind].translated, 0);
+            output.coverage.overall = { total, translated, percent: percentOf(translated, total) };
+            coverage[locale] = output.coverage;
+            
+            json.save(
+                path.join(projectRoot, localizedNamesFile(locale)),
+                output,
+                `${locale} names (${output.coverage.overall.percent ?? '-'}% translated)`
+            );
+        }
+        
+        json.save(path.join(projectRoot, LOCALE_COVERAGE_FILE), {
+            generated: new Date().toISOString(),
+            fallbackLocale: FALLBACK_LOCALE,
+            locales: coverage
+        }, `Coverage of ${selected.length} locales`);
+        
+        logger.info('\n📊 Coverage per locale:');
+        logger.info(`   ${'locale'.padEnd(8)} ${[...NAME_TABLES, 'overall'].map(kind => kind.padStart(15)).join('')}`);
+        for (const [locale, localeCoverage] of Object.entries(coverage)) {
+            const cells = [...NAME_TABLES, 'overall'].map(kind => {
+                const percent = localeCoverage[kind].percent;
+                return (percent === null ? '-' : `${percent.toFixed(1)}%`).padStart(15);
+            });
+            logger.info(`   ${locale.padEnd(8)} ${cells.join('')}`);
+        }
+        
+        return {
+            locales: selected,
+            coverage: Object.fromEntries(Object.entries(coverage).map(([locale, localeCoverage]) => [locale, localeCoverage.overall.percent]))
+        };
+        
+    } catch (error) {
+        logger.error(`Localized name extraction failed: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Pipeline step declaration
+ */
+export const localesStep = {
+    name: 'locales',
+    title: 'Localized Name Tables',
+    icon: '🌐',
+    dependsOn: ['index', 'fsdbinary'],
+    inputs: [MAIN_LOCALIZATION_FILE, 'data/json/types.json'],
+    optionalInputs: options => [...new Set([FALLBACK_LOCALE, ...resolveLocales(options.locales)])].map(localizationFile),
+    outputs: options => [LOCALE_COVERAGE_FILE, ...resolveLocales(options.locales).map(localizedNamesFile)],
+    params: options => ({ locales: resolveLocales(options.locales) }),
+    cached: true,
+    source: 'lib/processors/locales.js',
+    run: ({ options }) => runLocaleExtraction({ locales: options.locales })
+};
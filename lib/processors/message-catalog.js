@@ -0,0 +1,165 @@
+/**
+ * Message Catalog Processor - Every localized message with its label
+ * 
+ * Joins the labels in localization_fsd_main.json (FullPath and label of each
+ * message) with the language tables, so UI strings and descriptions can be
+ * found by message ID or by "FullPath/label". Messages filled in at runtime
+ * ("{[numeric]quantity} units") are flagged with their parameters.
+ */
+
+import path from 'path';
+import { 
+    logger, 
+    projectRoot, 
+    json, 
+    files, 
+    StatsCollector 
+} from '../utils.js';
+import { 
+    FALLBACK_LOCALE, 
+    MAIN_LOCALIZATION_FILE, 
+    localizationFile, 
+    listLocales, 
+    resolveLocales, 
+    localizedText, 
+    messageParameters 
+} from '../localization.js';
+
+export const MESSAGE_CATALOG_FILE = 'data/extracted/localization_catalog.json';
+
+/**
+ * Key of a labelled message: "FullPath/label"
+ */
+export function messageKey(entry) {
+    return entry?.label ? (entry.FullPath ? `${entry.FullPath}/${entry.label}` : entry.label) : null;
+}
+
+/**
+ * Run message catalog export
+ * 
+ * @param {Object} [options]
+ * @param {string[]} [options.locales=['all']] - Locale codes, or 'all' for every converted table
+ */
+export async function runMessageCatalogExport({ locales = ['all'] } = {}) {
+    try {
+        logger.info('\n📚 Building localization message catalog...');
+        
+        const mainFile = path.join(projectRoot, MAIN_LOCALIZATION_FILE);
+        files.requireExists(mainFile, 'localization_fsd_main.json not found. Run the index step first.');
+        
+        const selected = resolveLocales(locales);
+        const available = listLocales();
+        const missing = selected.filter(locale => !available.includes(locale));
+        if (missing.length > 0) {
+            throw new Error(`No localization table for ${missing.join(', ')} (available: ${available.join(', ') || 'none'})`);
+        }
+        // English first, then the other selected locales
+        const catalogLocales = [FALLBACK_LOCALE, ...selected.filter(locale => locale !== FALLBACK_LOCALE)]
+            .filter(locale => available.includes(locale));
+        
+        const stats = new StatsCollector();
+        const labels = json.load(mainFile).labels || {};
+        const messages = {};
+        const byKey = {};
+        const duplicateKeys = [];
+        
+        const messageFor = messageId => {
+            if (!messages[messageId]) {
+                const entry = labels[messageId];
+                messages[messageId] = {
+                    id: parseInt(messageId),
+                    key: messageKey(entry),
+                    fullPath: entry?.FullPath ?? null,
+                    label: entry?.label ?? null,
+                    parameterized: false,
+                    parameters: [],
+                    text: {}
+                };
+            }
+            return messages[messageId];
+        };
+        
+        for (const messageId of Object.keys(labels)) {
+            const message = messageFor(messageId);
+            if (!message.key) continue;
+            
+            if (byKey[message.key] !== undefined) {
+                duplicateKeys.push({ key: message.key, messageIds: [byKey[message.key], message.id] });
+                continue;
+            }
+            byKey[message.key] = message.id;
+        }
+        
+        for (const locale of catalogLocales) {
+            const table = json.load(path.join(projectRoot, localizationFile(locale)));
+            
+            for (const messageId of Object.keys(table)) {
+                const text = localizedText(table, messageId);
+                if (text === null) continue;
+                
+                const message = messageFor(messageId);
+                message.text[locale] = text;
+                stats.increment(`${locale} texts`);
+                
+                // Placeholders can differ between translations; collect them all
+                for (const parameter of messageParameters(text)) {
+                    if (!message.parameters.includes(parameter)) message.parameters.push(parameter);
+                }
+                message.parameterized = message.parameters.length > 0;
+            }
+        }
+        
+        const all = Object.values(messages);
+        stats.set('messages', all.length);
+        stats.set('labelled', all.filter(message => message.key).length);
+        stats.set('unlabelled', all.filter(message => !message.key).length);
+        stats.set('parameterized', all.filter(message => message.parameterized).length);
+        stats.set('withoutText', all.filter(message => Object.keys(message.text).length === 0).length);
+        stats.set('duplicateKeys', duplicateKeys.length);
+        
+        json.save(path.join(projectRoot, MESSAGE_CATALOG_FILE), {
+            metadata: {
+                generated: new Date().toISOString(),
+                locales: catalogLocales,
+                counts: {
+                    messages: stats.get('messages'),
+                    labelled: stats.get('labelled'),
+                    parameterized: stats.get('parameterized'),
+                    withoutText: stats.get('withoutText')
+                },
+                duplicateKeys
+            },
+            messages,
+            byKey
+        }, `${all.length} messages in ${catalogLocales.length} locales`);
+        
+        if (duplicateKeys.length > 0) {
+            logger.warning(`${duplicateKeys.length} labels are used by more than one message; byKey points at the first`);
+        }
+        
+        stats.logSummary('Message Catalog Summary');
+        
+        return stats.summary();
+        
+    } catch (error) {
+        logger.error(`Message catalog export failed: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Pipeline step declaration
+ */
+export const messageCatalogStep = {
+    name: 'messages',
+    title: 'Localization Message Catalog',
+    icon: '📚',
+    dependsOn: ['index'],
+    inputs: [MAIN_LOCALIZATION_FILE],
+    optionalInputs: options => [...new Set([FALLBACK_LOCALE, ...resolveLocales(options.locales)])].map(localizationFile),
+    outputs: [MESSAGE_CATALOG_FILE],
+    params: options => ({ locales: resolveLocales(options.locales) }),
+    cached: true,
+    source: 'lib/processors/message-catalog.js',
+    run: ({ options }) => runMessageCatalogExport({ locales: options.locales })
+};
@@ -1,7 +1,8 @@
 /**
  * Setup Processor - Initial Environment Setup
  * 
- * Handles configuration, validation, and symlink creation
+ * Handles configuration, validation, and making the game files available
+ * (symlinks by default, see ../materialize.js)
  */
 
 import fs from 'fs';
@@ -12,9 +13,13 @@ import {
     projectRoot, 
     PYTHON_CONFIG_FILE, 
     saveConfiguration, 
-    validate,
-    files 
+    validate 
 } from '../utils.js';
+import { 
+    MATERIALIZED_FILE, 
+    Materializer, 
+    resolveMaterializeOptions 
+} from '../materialize.js';
 
 const BIN64_SUBPATH = path.join('stillness', 'bin64');
 const INDEX_FILE = 'index_stillness.txt';
@@ -36,7 +41,7 @@ async function prompt(question) {
 async function promptForPath() {
     logger.info('\n🎮 EVE Frontier Tools Setup');
     logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    logger.info('\nThis script will set up symlinks to your EVE Frontier game data.');
+    logger.info('\nThis script will make your EVE Frontier game data available to the tools.');
     logger.info('\nPlease provide the path to your EVE Frontier installation directory.');
     logger.warning('Example: C:\\CCP\\EVE Frontier');
     
@@ -129,8 +134,8 @@ async function configurePython312() {
     }
 }
 
-async function createSymlinks(basePath) {
-    logger.info('\n🔗 Creating symlinks...');
+async function materializeInstallation(basePath, materializer) {
+    logger.info(`\n🔗 Making game files available (${materializer.mode})...`);
     
     const bin64Path = path.join(basePath, BIN64_SUBPATH);
     const bin64Dir = path.join(projectRoot, 'bin64');
@@ -143,21 +148,17 @@ async function createSymlinks(basePath) {
     let successCount = 0;
     let errorCount = 0;
     
-    // Symlink entire bin64 directory to bin64/
-    try {
-        if (fs.existsSync(bin64Dir)) {
-            await fs.promises.rm(bin64Dir, { recursive: true, force: true });
-        }
-        
-        await fs.promises.symlink(bin64Path, bin64Dir);
-        logger.success(`Symlinked entire bin64 directory to bin64/`);
+    // Entire bin64 directory to bin64/
+    if (await materializer.directory(bin64Path, bin64Dir)) {
+        materializer.mark('bin64');
+        logger.success(`${materializer.verb} entire bin64 directory to bin64/`);
         successCount++;
-    } catch (error) {
-        logger.error(`Failed to symlink bin64 directory: ${error.message}`);
+    } else {
+        logger.error('Failed to materialize bin64 directory');
         errorCount++;
     }
     
-    // Create symlinks to index files
+    // Index files
     const indexFiles = [
         {
             name: INDEX_FILE,
@@ -172,52 +173,52 @@ async function createSymlinks(basePath) {
     ];
     
     for (const indexFile of indexFiles) {
-        try {
-            if (fs.existsSync(indexFile.target)) {
-                await fs.promises.unlink(indexFile.target);
-            }
-            
-            if (fs.existsSync(indexFile.source)) {
-                await fs.promises.symlink(indexFile.source, indexFile.target);
-                logger.success(`Symlinked ${indexFile.name}`);
-                successCount++;
-            } else {
-                logger.warning(`Index file not found: ${indexFile.name} (${indexFile.source})`);
-            }
-        } catch (error) {
-            logger.error(`Failed to symlink ${indexFile.name}: ${error.message}`);
+        if (!fs.existsSync(indexFile.source)) {
+            logger.warning(`Index file not found: ${indexFile.name} (${indexFile.source})`);
+        } else if (await materializer.file(indexFile.source, indexFile.target)) {
+            materializer.mark(materializer.keyOf(indexFile.target));
+            logger.success(`${materializer.verb} ${indexFile.name}`);
+            successCount++;
+        } else {
             errorCount++;
         }
     }
     
-    // Create symlink to ResFiles directory
+    // ResFiles directory: hard links and copies are only made by the index step, for the files its filters accept
     const resFilesSource = path.join(basePath, 'ResFiles');
     const resFilesTarget = path.join(dataRawDir, 'ResFiles');
     
-    try {
-        if (fs.existsSync(resFilesTarget)) {
-            await fs.promises.unlink(resFilesTarget);
-        }
-        
-        await fs.promises.symlink(resFilesSource, resFilesTarget);
-        logger.success(`Symlinked ResFiles directory`);
+    if (materializer.stores) {
+        await materializer.prepareStore(resFilesTarget);
+        materializer.mark('data/raw/ResFiles');
+        logger.success('Prepared data/raw/ResFiles for the files the index step stores');
         successCount++;
-    } catch (error) {
-        logger.error(`Failed to symlink ResFiles: ${error.message}`);
+    } else if (await materializer.directory(resFilesSource, resFilesTarget)) {
+        materializer.mark('data/raw/ResFiles');
+        logger.success(`${materializer.verb} ResFiles directory`);
+        successCount++;
+    } else {
+        logger.error('Failed to materialize ResFiles');
         errorCount++;
     }
+    materializer.save();
     
-    logger.info(`\n📊 Symlink Summary:`);
+    logger.info(`\n📊 Materialization Summary:`);
     logger.info(`   Successful: ${successCount}`, 'green');
     logger.info(`   Errors: ${errorCount}`, errorCount > 0 ? 'red' : 'green');
+    if (materializer.counts.hardlinkFallbacks) {
+        logger.warning(`Copied instead of hard-linked: ${materializer.counts.hardlinkFallbacks}`);
+    }
     
     return errorCount === 0;
 }
 
 /**
  * Run the complete setup process
+ * 
+ * @param {Object} [materialize] - Materialization mode and copy verification
  */
-export async function runSetup() {
+export async function runSetup(materialize = resolveMaterializeOptions()) {
     try {
         // Get EVE Frontier installation path
         const eveFrontierPath = await promptForPath();
@@ -237,9 +238,9 @@ export async function runSetup() {
             return false;
         }
         
-        // Create symlinks
-        if (!(await createSymlinks(eveFrontierPath))) {
-            logger.warning('Some symlinks failed to create. Check permissions and paths.');
+        // Symlink, hard-link, copy or record the game files
+        if (!(await materializeInstallation(eveFrontierPath, new Materializer(materialize)))) {
+            logger.warning('Some game files could not be made available. Check permissions and paths.');
         }
         
         // Save configuration
@@ -264,4 +265,26 @@ export async function runSetup() {
         logger.error(`Setup failed: ${error.message}`);
         return false;
     }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Pipeline step declaration
+ */
+export const setupStep = {
+    name: 'setup',
+    title: 'Environment Setup',
+    icon: '📦',
+    dependsOn: [],
+    inputs: [],
+    // In manifest mode bin64 and ResFiles are only recorded, not created
+    outputs: options => resolveMaterializeOptions(options).mode === 'manifest' ?
+        ['.eve-frontier-path', '.python312-path', MATERIALIZED_FILE] :
+        ['.eve-frontier-path', '.python312-path', 'bin64', 'data/raw/ResFiles'],
+    async run({ options }) {
+        const setupSuccess = await runSetup(resolveMaterializeOptions(options));
+        if (!setupSuccess) {
+            throw new Error('Setup failed. Cannot continue.');
+        }
+        return { completed: true };
+    }
+};
@@ -1,6 +1,12 @@
 import fs from 'fs';
 import path from 'path';
 import { logger, ensureDirectories } from '../utils.js';
+import { mapStellarMessageIds } from '../localization.js';
+import { SpatialIndex, SPATIAL_INDEX_FILE } from '../stellar/spatial-index.js';
+import { StarMap } from '../stellar/star-map.js';
+import { buildAdjacency, countAdjacentPairs } from '../stellar/adjacency.js';
+import { analyzeStarMap } from '../stellar/graph-analysis.js';
+import { extractCelestials, countCelestials, CELESTIALS_FILE, CELESTIAL_KINDS } from '../stellar/celestials.js';
 
 /**
  * Stellar Cartography Processor
@@ -8,7 +14,8 @@ import { logger, ensureDirectories } from '../utils.js';
  * Extracts and processes stellar object data from EVE Frontier:
  * 1. Loads starmapcache.json for raw stellar data
  * 2. Loads localization files to extract proper names
- * 3. Creates processed datasets for systems, constellations, and regions
+ * 3. Creates processed datasets for systems, constellations, and regions,
+ *    and for the celestial bodies inside each system
  * 4. Outputs structured JSON files for easy consumption
  */
 
@@ -82,41 +89,12 @@ function extractStellarLabels(starMapCache, mainLocalization, enUsLocalization)
     
     logger.info('Building message ID mappings...');
     
-    // Build mappings from IDs to message IDs
-    const systemIdToMessageId = new Map();
-    const constellationIdToMessageId = new Map();
-    const regionIdToMessageId = new Map();
-    
-    // Parse the labels from main localization
-    if (mainLocalization && mainLocalization.labels) {
-        Object.entries(mainLocalization.labels).forEach(([messageId, entry]) => {
-            if (entry.FullPath === 'Map/SolarSystems' && entry.label) {
-                const match = entry.label.match(/solar_system_(\d+)/);
-                if (match) {
-                    const systemId = parseInt(match[1]);
-                    if (allSystemIds.has(systemId)) {
-                        systemIdToMessageId.set(systemId, parseInt(messageId));
-                    }
-                }
-            } else if (entry.FullPath === 'Map/Constellations' && entry.label) {
-                const match = entry.label.match(/constellation_(\d+)/);
-                if (match) {
-                    const constellationId = parseInt(match[1]);
-                    if (allConstellationIds.has(constellationId)) {
-                        constellationIdToMessageId.set(constellationId, parseInt(messageId));
-                    }
-                }
-            } else if (entry.FullPath === 'Map/Regions' && entry.label) {
-                const match = entry.label.match(/region_(\d+)/);
-                if (match) {
-                    const regionId = parseInt(match[1]);
-                    if (allRegionIds.has(regionId)) {
-                        regionIdToMessageId.set(regionId, parseInt(messageId));
-                    }
-                }
-            }
-        });
-    }
+    // Build mappings from IDs to message IDs, for the objects in the starmapcache
+    const stellarMessageIds = mapStellarMessageIds(mainLocalization);
+    const onlyKnown = (mapping, knownIds) => new Map([...mapping].filter(([id]) => knownIds.has(id)));
+    const systemIdToMessageId = onlyKnown(stellarMessageIds.systems, allSystemIds);
+    const constellationIdToMessageId = onlyKnown(stellarMessageIds.constellations, allConstellationIds);
+    const regionIdToMessageId = onlyKnown(stellarMessageIds.regions, allRegionIds);
     
     logger.info(`Found ${systemIdToMessageId.size} solar system message ID mappings`);
     logger.info(`Found ${constellationIdToMessageId.size} constellation message ID mappings`);
@@ -180,7 +158,7 @@ function extractStellarLabels(starMapCache, mainLocalization, enUsLocalization)
     return { systemLabels, constellationLabels, regionLabels };
 }
 
-function buildStellarData(starMapCache, systemLabels, constellationLabels, regionLabels) {
+function buildStellarData(starMapCache, systemLabels, constellationLabels, regionLabels, celestialsBySystem = new Map()) {
     logger.info('Building comprehensive stellar dataset...');
     
     const regions = {};
@@ -230,6 +208,7 @@ function buildStellarData(starMapCache, systemLabels, constellationLabels, regio
         Object.entries(starMapCache.solarSystems).forEach(([idStr, systemData]) => {
             const systemId = parseInt(idStr);
             const name = systemLabels.get(systemId) || `System_${systemId}`;
+            const celestialRefs = celestialsBySystem.get(systemId);
             
             systems[systemId] = {
                 id: systemId,
@@ -243,8 +222,11 @@ function buildStellarData(starMapCache, systemLabels, constellationLabels, regio
                 },
                 celestials: {
                     starId: systemData.star ? systemData.star.id : null,
-                    planetIds: systemData.planetItemIDs || [],
-                    planetCountByType: systemData.planetCountByType || {}
+                    planetIds: systemData.planetItemIDs || celestialRefs?.planetIds || [],
+                    planetCountByType: systemData.planetCountByType || {},
+                    moonIds: celestialRefs?.moonIds || [],
+                    beltIds: celestialRefs?.beltIds || [],
+                    stargateIds: celestialRefs?.stargateIds || []
                 },
                 navigation: {
                     neighbours: systemData.neighbours || [],
@@ -276,6 +258,7 @@ export async function processStellarCartography(projectRoot, config) {
         const starMapCache = loadJsonFile(path.join(jsonDir, 'starmapcache.json'));
         const mainLocalization = loadJsonFile(path.join(jsonDir, 'localization_fsd_main.json'), false);
         const enUsLocalization = loadJsonFile(path.join(jsonDir, 'localization_fsd_en-us.json'), false);
+        const types = loadJsonFile(path.join(jsonDir, 'types.json'), false);
         
         if (!starMapCache) {
             throw new Error('starmapcache.json is required for stellar cartography processing');
@@ -286,9 +269,14 @@ export async function processStellarCartography(projectRoot, config) {
             starMapCache, mainLocalization, enUsLocalization
         );
         
+        // Extract stars, planets, moons, belts and stargates
+        logger.info('Extracting celestial bodies...');
+        const celestials = extractCelestials(starMapCache, { systemLabels, localization: enUsLocalization, types });
+        const celestialCounts = countCelestials(celestials);
+        
         // Build comprehensive stellar dataset
         const { regions, constellations, systems } = buildStellarData(
-            starMapCache, systemLabels, constellationLabels, regionLabels
+            starMapCache, systemLabels, constellationLabels, regionLabels, celestials.bySystem
         );
         
         // Output individual label files (for backward compatibility)
@@ -334,6 +322,39 @@ export async function processStellarCartography(projectRoot, config) {
         fs.writeFileSync(constellationsFile, JSON.stringify(constellations, null, 2));
         fs.writeFileSync(systemsFile, JSON.stringify(systems, null, 2));
         
+        // Write celestial bodies, cross-referenced from each system's celestials
+        const celestialsFile = path.join(projectRoot, CELESTIALS_FILE);
+        const stellarCelestials = {
+            metadata: {
+                generated: new Date().toISOString(),
+                source: 'EVE Frontier starmapcache.json, types.json and localization files',
+                counts: celestialCounts
+            },
+            ...Object.fromEntries(CELESTIAL_KINDS.map(kind => [kind, celestials[kind]]))
+        };
+        fs.writeFileSync(celestialsFile, JSON.stringify(stellarCelestials, null, 2));
+        
+        // Write spatial index over system centers for nearest/radius/box queries
+        const spatialIndexFile = path.join(projectRoot, SPATIAL_INDEX_FILE);
+        const spatialIndex = SpatialIndex.build(Object.values(systems));
+        fs.writeFileSync(spatialIndexFile, JSON.stringify(spatialIndex.toJSON()));
+        
+        // Write region and constellation adjacency derived from the gate graph
+        const starMap = new StarMap({ systems, constellations, regions });
+        const regionAdjacency = buildAdjacency(starMap, 'region');
+        const constellationAdjacency = buildAdjacency(starMap, 'constellation');
+        const regionAdjacencyFile = path.join(extractedDir, 'stellar_region_adjacency.json');
+        const constellationAdjacencyFile = path.join(extractedDir, 'stellar_constellation_adjacency.json');
+        
+        fs.writeFileSync(regionAdjacencyFile, JSON.stringify(regionAdjacency, null, 2));
+        fs.writeFileSync(constellationAdjacencyFile, JSON.stringify(constellationAdjacency, null, 2));
+        
+        // Write graph report: components, chokepoints, centrality and data inconsistencies
+        const graphReportFile = path.join(extractedDir, 'stellar_graph_report.json');
+        const graphReport = analyzeStarMap(starMap, { regionAdjacency });
+        const inconsistencyCount = Object.values(graphReport.inconsistencies.counts).reduce((sum, count) => sum + count, 0);
+        fs.writeFileSync(graphReportFile, JSON.stringify(graphReport, null, 2));
+        
         // Write combined stellar cartography file
         const stellarCartographyFile = path.join(extractedDir, 'stellar_cartography.json');
         const stellarCartography = {
@@ -362,6 +383,15 @@ export async function processStellarCartography(projectRoot, config) {
         logger.info(`  - ${path.basename(constellationsFile)} (comprehensive constellation data)`);
         logger.info(`  - ${path.basename(systemsFile)} (comprehensive system data)`);
         logger.info(`  - ${path.basename(stellarCartographyFile)} (complete stellar cartography dataset)`);
+        logger.info(`  - ${path.basename(celestialsFile)} (${CELESTIAL_KINDS.map(kind => `${celestialCounts[kind]} ${kind}`).join(', ')})`);
+        logger.info(`  - ${path.basename(spatialIndexFile)} (k-d tree over ${spatialIndex.size} system centers)`);
+        logger.info(`  - ${path.basename(regionAdjacencyFile)} (${countAdjacentPairs(regionAdjacency)} adjacent region pairs)`);
+        logger.info(`  - ${path.basename(constellationAdjacencyFile)} (${countAdjacentPairs(constellationAdjacency)} adjacent constellation pairs)`);
+        logger.info(`  - ${path.basename(graphReportFile)} (${graphReport.components.count} components, ${graphReport.chokepoints.bridges.length} bridges, ${inconsistencyCount} data inconsistencies)`);
+        
+        if (inconsistencyCount > 0) {
+            logger.warning(`Navigation data has ${inconsistencyCount} inconsistencies; see ${path.basename(graphReportFile)}`);
+        }
         
         return {
             systemsCount: Object.keys(systems).length,
@@ -369,11 +399,43 @@ export async function processStellarCartography(projectRoot, config) {
             regionsCount: Object.keys(regions).length,
             labeledSystems: systemLabels.size,
             labeledConstellations: constellationLabels.size,
-            labeledRegions: regionLabels.size
+            labeledRegions: regionLabels.size,
+            adjacentRegionPairs: countAdjacentPairs(regionAdjacency),
+            adjacentConstellationPairs: countAdjacentPairs(constellationAdjacency),
+            graphComponents: graphReport.components.count,
+            navigationInconsistencies: inconsistencyCount,
+            celestials: celestialCounts
         };
         
     } catch (error) {
         logger.error(`Stellar cartography processing failed: ${error.message}`);
         throw error;
     }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Pipeline step declaration
+ */
+export const stellarStep = {
+    name: 'stellar',
+    title: 'Stellar Cartography Data Processing',
+    icon: '🌌',
+    dependsOn: ['index', 'fsdbinary'],
+    inputs: ['data/json/starmapcache.json'],
+    optionalInputs: ['data/json/localization_fsd_main.json', 'data/json/localization_fsd_en-us.json', 'data/json/types.json'],
+    outputs: [
+        'data/extracted/stellar_labels.json',
+        'data/extracted/stellar_systems.json',
+        'data/extracted/stellar_constellations.json',
+        'data/extracted/stellar_regions.json',
+        'data/extracted/stellar_cartography.json',
+        CELESTIALS_FILE,
+        SPATIAL_INDEX_FILE,
+        'data/extracted/stellar_region_adjacency.json',
+        'data/extracted/stellar_constellation_adjacency.json',
+        'data/extracted/stellar_graph_report.json'
+    ],
+    cached: true,
+    source: 'lib/processors/stellar-cartography.js',
+    run: () => processStellarCartography(process.cwd(), {})
+};
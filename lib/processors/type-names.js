@@ -2,7 +2,9 @@
  * Type Names Processor - Extract type ID to name mappings
  * 
  * Processes the complete types.json file generated from FSDBinary
- * and creates clean mappings for use in other tools
+ * and creates clean mappings for use in other tools, plus a
+ * category → group → type catalog when groups.json and categories.json
+ * were converted too
  */
 
 import path from 'path';
@@ -13,11 +15,91 @@ import {
     files,
     StatsCollector 
 } from '../utils.js';
+import { localizationFile, resolveLocales, listLocales, localizedText } from '../localization.js';
+
+const GROUPS_FILE = 'data/json/groups.json';
+const CATEGORIES_FILE = 'data/json/categories.json';
+
+/**
+ * Translations of a name field, from the message ID the loaders keep in _messageIDs
+ */
+function localizedNames(data, field, localeTables) {
+    const messageId = data?._messageIDs?.[field];
+    if (messageId === undefined) return {};
+    
+    const names = {};
+    for (const [locale, table] of localeTables) {
+        const text = localizedText(table, messageId);
+        if (text) names[locale] = text;
+    }
+    return names;
+}
+
+/**
+ * Build the category → group → type hierarchy
+ * 
+ * Types whose group (or groups whose category) is unknown are kept under
+ * an "unknown" entry rather than dropped.
+ */
+function buildTypeCatalog(types, groups, categories, localeTables) {
+    const nameOf = (data, field) => typeof data?.[field] === 'string' && data[field] !== '' ? data[field] : null;
+    const catalog = {};
+    
+    const categoryEntry = categoryId => {
+        const key = categoryId ?? 'unknown';
+        if (!catalog[key]) {
+            const data = categoryId !== null ? categories[categoryId] : null;
+            catalog[key] = {
+                id: categoryId,
+                name: nameOf(data, 'categoryNameID'),
+                names: localizedNames(data, 'categoryNameID', localeTables),
+                published: data ? Boolean(data.published) : null,
+                groups: {}
+            };
+        }
+        return catalog[key];
+    };
+    
+    const groupEntry = groupId => {
+        const data = groupId !== null ? groups[groupId] : null;
+        const category = categoryEntry(data?.categoryID ?? null);
+        const key = groupId ?? 'unknown';
+        if (!category.groups[key]) {
+            category.groups[key] = {
+                id: groupId,
+                name: nameOf(data, 'groupNameID'),
+                names: localizedNames(data, 'groupNameID', localeTables),
+                published: data ? Boolean(data.published) : null,
+                types: {}
+            };
+        }
+        return category.groups[key];
+    };
+    
+    for (const [typeId, typeData] of Object.entries(types)) {
+        const group = groupEntry(typeData.groupID ?? null);
+        group.types[typeId] = {
+            id: parseInt(typeId),
+            name: nameOf(typeData, 'typeNameID'),
+            names: localizedNames(typeData, 'typeNameID', localeTables),
+            published: Boolean(typeData.published),
+            volume: typeData.volume ?? null,
+            mass: typeData.mass ?? null,
+            portionSize: typeData.portionSize ?? null,
+            basePrice: typeData.basePrice ?? null
+        };
+    }
+    
+    return catalog;
+}
 
 /**
  * Run type name extraction
+ * 
+ * @param {Object} [options]
+ * @param {string[]} [options.locales=['all']] - Locales of the names in type_catalog.json
  */
-export async function runTypeNameExtraction() {
+export async function runTypeNameExtraction({ locales = ['all'] } = {}) {
     try {
         logger.info('\n🏷️  Extracting type names...');
         
@@ -75,6 +157,23 @@ export async function runTypeNameExtraction() {
         
         stats.set('totalGroups', Object.keys(typesByGroup).length);
         
+        // Category → group → type catalog, named where groups.json and categories.json exist
+        const groups = json.load(path.join(projectRoot, GROUPS_FILE), false);
+        const categories = json.load(path.join(projectRoot, CATEGORIES_FILE), false);
+        if (!groups || !categories) {
+            logger.warning('groups.json or categories.json not converted; type_catalog.json will lack group and category names');
+        }
+        
+        const available = listLocales();
+        const localeTables = new Map();
+        for (const locale of resolveLocales(locales).filter(code => available.includes(code))) {
+            localeTables.set(locale, json.load(path.join(projectRoot, localizationFile(locale))));
+        }
+        
+        const typeCatalog = buildTypeCatalog(types, groups || {}, categories || {}, localeTables);
+        localeTables.clear();
+        stats.set('catalogCategories', Object.keys(typeCatalog).length);
+        
         // Write outputs
         const outputs = [
             {
@@ -91,6 +190,11 @@ export async function runTypeNameExtraction() {
                 file: 'types_by_group.json',
                 data: typesByGroup,
                 description: `Types organized by group ID (${stats.get('totalGroups')} groups)`
+            },
+            {
+                file: 'type_catalog.json',
+                data: typeCatalog,
+                description: `Types by category and group (${stats.get('catalogCategories')} categories)`
             }
         ];
         
@@ -113,4 +217,27 @@ export async function runTypeNameExtraction() {
         logger.error(`Type name extraction failed: ${error.message}`);
         throw error;
     }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Pipeline step declaration
+ */
+export const typeNamesStep = {
+    name: 'types',
+    title: 'Type Name Extraction',
+    icon: '🏷️ ',
+    dependsOn: ['fsdbinary'],
+    inputs: ['data/json/types.json'],
+    optionalInputs: options => [GROUPS_FILE, CATEGORIES_FILE, ...resolveLocales(options.locales).map(localizationFile)],
+    outputs: [
+        'data/extracted/type_names_all.json',
+        'data/extracted/type_names_published.json',
+        'data/extracted/types_by_group.json',
+        'data/extracted/type_catalog.json',
+        'data/extracted/type_extraction_summary.json'
+    ],
+    params: options => ({ locales: resolveLocales(options.locales) }),
+    cached: true,
+    source: 'lib/processors/type-names.js',
+    run: ({ options }) => runTypeNameExtraction({ locales: options.locales })
+};
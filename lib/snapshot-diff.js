@@ -0,0 +1,301 @@
+/**
+ * Snapshot Diff - What changed between two extractions
+ * 
+ * Compares the extracted files of two snapshots (directories holding a
+ * previous and a current data/extracted) by what they describe rather than
+ * as raw JSON:
+ * 
+ *   type_names_all.json                 types added, removed and renamed
+ *   clean_blueprints_to_materials.json  blueprints added and removed, and
+ *                                       material, product and time changes
+ *   stellar_systems.json                systems added, removed and renamed,
+ *                                       and stargate connections opened or closed
+ * 
+ * The result is JSON; renderChangelog turns it into a Markdown summary.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { StarMap } from './stellar/star-map.js';
+
+export const DIFF_FILES = {
+    types: 'type_names_all.json',
+    blueprints: 'clean_blueprints_to_materials.json',
+    systems: 'stellar_systems.json'
+};
+
+// Rows per table in the Markdown changelog; the JSON always has everything
+const MARKDOWN_ROWS = 200;
+
+const byId = (a, b) => a.id - b.id;
+
+/**
+ * Types added, removed and renamed
+ */
+export function diffTypes(before, after) {
+    const added = [];
+    const removed = [];
+    const renamed = [];
+    
+    for (const [id, name] of Object.entries(after)) {
+        if (!(id in before)) {
+            added.push({ id: parseInt(id), name });
+        } else if (before[id] !== name) {
+            renamed.push({ id: parseInt(id), from: before[id], to: name });
+        }
+    }
+    for (const [id, name] of Object.entries(before)) {
+        if (!(id in after)) removed.push({ id: parseInt(id), name });
+    }
+    
+    return { added: added.sort(byId), removed: removed.sort(byId), renamed: renamed.sort(byId) };
+}
+
+/**
+ * Quantity changes between two material (or product) lists, matched by type
+ */
+function diffQuantities(before = [], after = []) {
+    const totals = list => {
+        const result = new Map();
+        for (const { typeID, name, quantity } of list) {
+            const entry = result.get(typeID) || { typeID, name, quantity: 0 };
+            entry.quantity += quantity || 0;
+            result.set(typeID, entry);
+        }
+        return result;
+    };
+    const oldTotals = totals(before);
+    const newTotals = totals(after);
+    
+    const added = [...newTotals.values()].filter(entry => !oldTotals.has(entry.typeID));
+    const removed = [...oldTotals.values()].filter(entry => !newTotals.has(entry.typeID));
+    const changed = [...newTotals.values()]
+        .filter(entry => oldTotals.has(entry.typeID) && oldTotals.get(entry.typeID).quantity !== entry.quantity)
+        .map(entry => ({ typeID: entry.typeID, name: entry.name, from: oldTotals.get(entry.typeID).quantity, to: entry.quantity }));
+    
+    const byType = (a, b) => a.typeID - b.typeID;
+    return { added: added.sort(byType), removed: removed.sort(byType), changed: changed.sort(byType) };
+}
+
+const hasChanges = quantities => quantities.added.length + quantities.removed.length + quantities.changed.length > 0;
+
+/**
+ * Blueprints added and removed, and changes to their materials, products and time
+ */
+export function diffBlueprints(before, after) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+    
+    for (const [id, blueprint] of Object.entries(after)) {
+        if (!(id in before)) {
+            added.push({ id: parseInt(id), name: blueprint.blueprintName });
+            continue;
+        }
+        
+        const previous = before[id];
+        const materials = diffQuantities(previous.materials, blueprint.materials);
+        const products = diffQuantities(previous.products, blueprint.products);
+        // Older snapshots and some blueprints carry no time; only compare when both sides have one
+        const timed = previous.time !== undefined && blueprint.time !== undefined;
+        const time = timed && previous.time !== blueprint.time ? { from: previous.time, to: blueprint.time } : null;
+        
+        if (hasChanges(materials) || hasChanges(products) || time) {
+            changed.push({
+                id: parseInt(id),
+                name: blueprint.blueprintName,
+                ...(hasChanges(materials) && { materials }),
+                ...(hasChanges(products) && { products }),
+                ...(time && { time })
+            });
+        }
+    }
+    for (const [id, blueprint] of Object.entries(before)) {
+        if (!(id in after)) removed.push({ id: parseInt(id), name: blueprint.blueprintName });
+    }
+    
+    return { added: added.sort(byId), removed: removed.sort(byId), changed: changed.sort(byId) };
+}
+
+/**
+ * Stargate connections of a systems file, as "lowId-highId" pairs
+ */
+function gatePairs(systems) {
+    const starMap = new StarMap({ systems, constellations: {}, regions: {} });
+    const pairs = new Set();
+    for (const id of starMap.systems.keys()) {
+        for (const neighbour of starMap.neighbours(id)) {
+            if (id < neighbour) pairs.add(`${id}-${neighbour}`);
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Systems added, removed and renamed, and stargate connections opened or closed
+ */
+export function diffSystems(before, after) {
+    const nameOf = (id, ...files) => files.map(systems => systems[id]?.name).find(Boolean) ?? `System_${id}`;
+    const names = diffTypes(
+        Object.fromEntries(Object.values(before).map(system => [system.id, system.name])),
+        Object.fromEntries(Object.values(after).map(system => [system.id, system.name]))
+    );
+    
+    const oldGates = gatePairs(before);
+    const newGates = gatePairs(after);
+    const describePair = pair => {
+        const [from, to] = pair.split('-').map(Number);
+        return { from: { id: from, name: nameOf(from, after, before) }, to: { id: to, name: nameOf(to, after, before) } };
+    };
+    const byPair = (a, b) => a.from.id - b.from.id || a.to.id - b.to.id;
+    
+    return {
+        added: names.added,
+        removed: names.removed,
+        renamed: names.renamed,
+        gatesAdded: [...newGates].filter(pair => !oldGates.has(pair)).map(describePair).sort(byPair),
+        gatesRemoved: [...oldGates].filter(pair => !newGates.has(pair)).map(describePair).sort(byPair)
+    };
+}
+
+const DIFFERS = {
+    types: diffTypes,
+    blueprints: diffBlueprints,
+    systems: diffSystems
+};
+
+function loadSnapshotFile(directory, file) {
+    const filePath = path.join(directory, file);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+/**
+ * Compare two snapshot directories
+ * 
+ * Sections whose file is missing from either snapshot are left null and
+ * listed under skipped.
+ * 
+ * @param {string} beforeDir - Directory of the older extraction
+ * @param {string} afterDir - Directory of the newer extraction
+ * @param {Object} [labels] - Names of the two snapshots for the report (default: the directories)
+ */
+export function diffSnapshots(beforeDir, afterDir, labels = {}) {
+    for (const directory of [beforeDir, afterDir]) {
+        if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+            throw new Error(`Snapshot directory not found: ${directory}`);
+        }
+    }
+    
+    const sections = {};
+    const skipped = [];
+    for (const [section, file] of Object.entries(DIFF_FILES)) {
+        const before = loadSnapshotFile(beforeDir, file);
+        const after = loadSnapshotFile(afterDir, file);
+        if (!before || !after) {
+            sections[section] = null;
+            skipped.push({ section, file, missingIn: [!before && 'before', !after && 'after'].filter(Boolean) });
+            continue;
+        }
+        sections[section] = DIFFERS[section](before, after);
+    }
+    
+    if (skipped.length === Object.keys(DIFF_FILES).length) {
+        throw new Error(`Neither snapshot has any of ${Object.values(DIFF_FILES).join(', ')} in common`);
+    }
+    
+    const summary = {};
+    for (const [section, result] of Object.entries(sections)) {
+        if (!result) continue;
+        summary[section] = Object.fromEntries(Object.entries(result).map(([kind, items]) => [kind, items.length]));
+    }
+    
+    return {
+        before: labels.before || beforeDir,
+        after: labels.after || afterDir,
+        generated: new Date().toISOString(),
+        summary,
+        skipped,
+        ...sections
+    };
+}
+
+/**
+ * Render a Markdown table, cut to MARKDOWN_ROWS rows
+ */
+function table(headers, rows) {
+    if (rows.length === 0) return [];
+    
+    const escape = value => String(value ?? '').replace(/\|/g, '\\|');
+    const lines = [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.slice(0, MARKDOWN_ROWS).map(row => `| ${row.map(escape).join(' | ')} |`)
+    ];
+    if (rows.length > MARKDOWN_ROWS) {
+        lines.push('', `…and ${rows.length - MARKDOWN_ROWS} more (see the JSON report)`);
+    }
+    return [...lines, ''];
+}
+
+function quantityChanges({ added, removed, changed }) {
+    return [
+        ...changed.map(entry => `${entry.name} ${entry.from} → ${entry.to}`),
+        ...added.map(entry => `+ ${entry.name} ×${entry.quantity}`),
+        ...removed.map(entry => `− ${entry.name} ×${entry.quantity}`)
+    ].join('; ');
+}
+
+/**
+ * Markdown changelog of a diffSnapshots result
+ */
+export function renderChangelog(diff) {
+    const lines = [`# Data changes: ${diff.before} → ${diff.after}`, '', `Generated ${diff.generated}`, ''];
+    const count = (items, noun) => `${items.length} ${noun}`;
+    
+    if (diff.types) {
+        const { added, removed, renamed } = diff.types;
+        lines.push('## Types', '', `${count(added, 'added')}, ${count(removed, 'removed')}, ${count(renamed, 'renamed')}`, '');
+        if (added.length) lines.push('### Added', '', ...table(['ID', 'Name'], added.map(type => [type.id, type.name])));
+        if (removed.length) lines.push('### Removed', '', ...table(['ID', 'Name'], removed.map(type => [type.id, type.name])));
+        if (renamed.length) lines.push('### Renamed', '', ...table(['ID', 'Before', 'After'], renamed.map(type => [type.id, type.from, type.to])));
+    }
+    
+    if (diff.blueprints) {
+        const { added, removed, changed } = diff.blueprints;
+        lines.push('## Blueprints', '', `${count(added, 'added')}, ${count(removed, 'removed')}, ${count(changed, 'changed')}`, '');
+        if (added.length) lines.push('### Added', '', ...table(['ID', 'Name'], added.map(blueprint => [blueprint.id, blueprint.name])));
+        if (removed.length) lines.push('### Removed', '', ...table(['ID', 'Name'], removed.map(blueprint => [blueprint.id, blueprint.name])));
+        if (changed.length) {
+            lines.push('### Changed', '', ...table(['ID', 'Name', 'Materials', 'Products', 'Time'], changed.map(blueprint => [
+                blueprint.id,
+                blueprint.name,
+                blueprint.materials ? quantityChanges(blueprint.materials) : '',
+                blueprint.products ? quantityChanges(blueprint.products) : '',
+                blueprint.time ? `${blueprint.time.from} → ${blueprint.time.to}` : ''
+            ])));
+        }
+    }
+    
+    if (diff.systems) {
+        const { added, removed, renamed, gatesAdded, gatesRemoved } = diff.systems;
+        lines.push('## Systems', '',
+            `${count(added, 'added')}, ${count(removed, 'removed')}, ${count(renamed, 'renamed')}; ` +
+            `${count(gatesAdded, 'new gate connections')}, ${count(gatesRemoved, 'removed')}`, '');
+        if (added.length) lines.push('### Added', '', ...table(['ID', 'Name'], added.map(system => [system.id, system.name])));
+        if (removed.length) lines.push('### Removed', '', ...table(['ID', 'Name'], removed.map(system => [system.id, system.name])));
+        if (renamed.length) lines.push('### Renamed', '', ...table(['ID', 'Before', 'After'], renamed.map(system => [system.id, system.from, system.to])));
+        const gateRows = gates => gates.map(gate => [`${gate.from.name} (${gate.from.id})`, `${gate.to.name} (${gate.to.id})`]);
+        if (gatesAdded.length) lines.push('### New gate connections', '', ...table(['From', 'To'], gateRows(gatesAdded)));
+        if (gatesRemoved.length) lines.push('### Removed gate connections', '', ...table(['From', 'To'], gateRows(gatesRemoved)));
+    }
+    
+    if (diff.skipped.length) {
+        lines.push('## Not compared', '');
+        for (const { file, missingIn } of diff.skipped) {
+            lines.push(`- ${file}: missing in ${missingIn.join(' and ')}`);
+        }
+        lines.push('');
+    }
+    
+    return lines.join('\n');
+}
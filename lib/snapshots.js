@@ -0,0 +1,319 @@
+/**
+ * Snapshots - Versioned copies of data/extracted
+ * 
+ * Each pipeline run archives data/extracted into a snapshot directory named
+ * after the game build and time:
+ * 
+ *   snapshots/<build>_<timestamp>/
+ *   ├── manifest.json   # id, build, steps, and the size and SHA-1 of every file
+ *   └── extracted/      # copy of data/extracted
+ * 
+ * The snapshot directory sits outside data/, so cleanup leaves it alone, and
+ * can be moved with snapshots.directory in eve-frontier-tools.config.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { projectRoot, loadProjectConfig } from './utils.js';
+import { BuildCache, hashFile } from './build-cache.js';
+
+export const EXTRACTED_DIR = 'data/extracted';
+export const DEFAULT_SNAPSHOT_DIR = 'snapshots';
+export const SNAPSHOT_MANIFEST = 'manifest.json';
+export const BEFORE_RESTORE_LABEL = 'before-restore';
+
+// In the snapshot directory: which snapshot data/extracted was last restored from
+const RESTORED_FILE = 'restored.json';
+
+// Rewritten by every run, so ignored when telling whether the data changed
+const VOLATILE_FILES = ['pipeline_results.json', 'build_info.json'];
+
+// Describe the installation on disk rather than the extracted data: a restore
+// keeps the current ones, so the index step stays up to date
+const INSTALLATION_FILES = ['build_info.json', 'index_manifest.json'];
+
+/**
+ * Directory holding the snapshots
+ */
+export function snapshotRoot() {
+    return path.resolve(projectRoot, loadProjectConfig().snapshots?.directory || DEFAULT_SNAPSHOT_DIR);
+}
+
+/**
+ * Files under a directory, relative to it, in sorted order
+ */
+function listFiles(directory, prefix = '') {
+    if (!fs.existsSync(directory)) return [];
+    
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .flatMap(entry => entry.isDirectory() ?
+            listFiles(path.join(directory, entry.name), `${prefix}${entry.name}/`) :
+            [`${prefix}${entry.name}`])
+        .sort();
+}
+
+/**
+ * Size and SHA-1 of every file under a directory
+ */
+export async function hashDirectory(directory) {
+    const manifest = {};
+    for (const file of listFiles(directory)) {
+        const filePath = path.join(directory, file);
+        manifest[file] = { size: fs.statSync(filePath).size, sha1: await hashFile(filePath) };
+    }
+    return manifest;
+}
+
+function sameContent(filesA, filesB, ignored = VOLATILE_FILES) {
+    const keys = files => Object.keys(files).filter(file => !ignored.includes(file));
+    const a = keys(filesA);
+    const b = keys(filesB);
+    return a.length === b.length && a.every(file => filesB[file]?.sha1 === filesA[file].sha1);
+}
+
+/**
+ * Snapshots with a readable manifest, oldest first
+ */
+export function listSnapshots() {
+    const root = snapshotRoot();
+    if (!fs.existsSync(root)) return [];
+    
+    const snapshots = [];
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+        const manifestPath = path.join(root, entry.name, SNAPSHOT_MANIFEST);
+        if (!entry.isDirectory() || !fs.existsSync(manifestPath)) continue;
+        try {
+            snapshots.push({ ...JSON.parse(fs.readFileSync(manifestPath, 'utf8')), directory: path.join(root, entry.name) });
+        } catch {
+            // Unreadable manifest: not a usable snapshot
+        }
+    }
+    return snapshots.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Find a snapshot by ID, unique ID prefix, build number (latest of that build) or "latest"
+ * 
+ * Archives taken before a restore hold whatever data/extracted had at the
+ * time, so only their ID or an ID prefix finds them.
+ */
+export function resolveSnapshot(query) {
+    const snapshots = listSnapshots();
+    const runs = snapshots.filter(snapshot => snapshot.label !== BEFORE_RESTORE_LABEL);
+    if (snapshots.length === 0 || (query === 'latest' && runs.length === 0)) {
+        throw new Error(`No snapshots in ${path.relative(projectRoot, snapshotRoot()) || '.'}`);
+    }
+    if (query === 'latest') return runs.at(-1);
+    
+    const exact = snapshots.find(snapshot => snapshot.id === query);
+    if (exact) return exact;
+    
+    const ofBuild = runs.filter(snapshot => String(snapshot.build?.build) === query);
+    if (ofBuild.length > 0) return ofBuild.at(-1);
+    
+    const prefixed = snapshots.filter(snapshot => snapshot.id.startsWith(query));
+    if (prefixed.length === 1) return prefixed[0];
+    if (prefixed.length > 1) {
+        throw new Error(`"${query}" matches ${prefixed.length} snapshots: ${prefixed.map(snapshot => snapshot.id).join(', ')}`);
+    }
+    throw new Error(`No snapshot matches "${query}"`);
+}
+
+/**
+ * Directory of a snapshot's extracted files
+ */
+export function snapshotFilesDirectory(snapshot) {
+    return path.join(snapshot.directory, 'extracted');
+}
+
+/**
+ * Extracted files named on the command line: a directory, or a snapshot ID,
+ * build number or "latest"
+ * 
+ * @returns {{directory: string, label: string}} The directory and a name for reports
+ */
+export function resolveExtraction(target) {
+    if (fs.existsSync(target)) {
+        const directory = path.resolve(target);
+        return { directory, label: path.basename(directory) };
+    }
+    const snapshot = resolveSnapshot(target);
+    return { directory: snapshotFilesDirectory(snapshot), label: snapshot.id };
+}
+
+/**
+ * Archive data/extracted as a new snapshot
+ * 
+ * Nothing is archived when the build and data match the latest snapshot.
+ * 
+ * @param {Object} [options]
+ * @param {Object} [options.build] - Build info recorded by the index step
+ * @param {string[]} [options.steps] - Steps of the run that produced the data
+ * @param {string} [options.label] - Why the snapshot was taken, e.g. BEFORE_RESTORE_LABEL
+ * @returns {Promise<{snapshot: Object, created: boolean}>}
+ */
+export async function createSnapshot({ build = null, steps = [], label = null } = {}) {
+    const extractedDir = path.join(projectRoot, EXTRACTED_DIR);
+    const files = await hashDirectory(extractedDir);
+    if (Object.keys(files).length === 0) {
+        throw new Error(`${EXTRACTED_DIR} is empty; nothing to snapshot`);
+    }
+    
+    const latest = listSnapshots().at(-1);
+    if (latest && latest.build?.build === build?.build && sameContent(latest.files, files)) {
+        return { snapshot: latest, created: false };
+    }
+    
+    const createdAt = new Date().toISOString();
+    const buildName = String(build?.build || 'unknown').replace(/[^\w.-]/g, '_');
+    const id = `${buildName}_${createdAt.replace(/[:.]/g, '-')}`;
+    const directory = path.join(snapshotRoot(), id);
+    
+    for (const file of Object.keys(files)) {
+        const target = path.join(directory, 'extracted', file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(path.join(extractedDir, file), target);
+    }
+    
+    const manifest = {
+        id,
+        createdAt,
+        label,
+        build,
+        steps,
+        fileCount: Object.keys(files).length,
+        totalSize: Object.values(files).reduce((sum, file) => sum + file.size, 0),
+        files
+    };
+    // Written last: a snapshot without a manifest is incomplete
+    fs.writeFileSync(path.join(directory, SNAPSHOT_MANIFEST), JSON.stringify(manifest, null, 2));
+    
+    return { snapshot: { ...manifest, directory }, created: true };
+}
+
+/**
+ * The snapshot data/extracted was last restored from, while no pipeline run has written to it since
+ */
+export function restoredSnapshot() {
+    const recordPath = path.join(snapshotRoot(), RESTORED_FILE);
+    if (!fs.existsSync(recordPath)) return null;
+    const { id } = JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+    return listSnapshots().find(snapshot => snapshot.id === id) ?? null;
+}
+
+/**
+ * Note that data/extracted no longer comes from a restored snapshot
+ */
+export function forgetRestoredSnapshot() {
+    fs.rmSync(path.join(snapshotRoot(), RESTORED_FILE), { force: true });
+}
+
+/**
+ * Files of a snapshot that are missing or no longer match its manifest
+ */
+export async function verifySnapshot(snapshot) {
+    const problems = [];
+    const filesDir = snapshotFilesDirectory(snapshot);
+    for (const [file, expected] of Object.entries(snapshot.files)) {
+        const filePath = path.join(filesDir, file);
+        if (!fs.existsSync(filePath)) {
+            problems.push({ file, problem: 'missing' });
+        } else if (await hashFile(filePath) !== expected.sha1) {
+            problems.push({ file, problem: 'changed' });
+        }
+    }
+    return problems;
+}
+
+/**
+ * Replace data/extracted with a snapshot's files
+ * 
+ * The current data is archived first unless it matches the latest snapshot,
+ * or is still what an earlier restore brought back. After a restore that
+ * archive carries the restored snapshot's build rather than the installation's.
+ * build_info.json and index_manifest.json are kept from the current data.
+ * Cached steps that wrote to data/extracted are forgotten, so the next
+ * pipeline run rebuilds them instead of keeping the restored files.
+ * 
+ * @returns {Promise<{snapshot: Object, archived: Object|null, forgotten: string[]}>}
+ */
+export async function restoreSnapshot(query) {
+    const snapshot = resolveSnapshot(query);
+    const problems = await verifySnapshot(snapshot);
+    if (problems.length > 0) {
+        const listed = problems.slice(0, 5).map(({ file, problem }) => `${file} (${problem})`).join(', ');
+        throw new Error(`Snapshot ${snapshot.id} does not match its manifest: ${listed}${problems.length > 5 ? ', …' : ''}`);
+    }
+    
+    const extractedDir = path.join(projectRoot, EXTRACTED_DIR);
+    let archived = null;
+    const restored = restoredSnapshot();
+    const unchangedSinceRestore = restored &&
+        sameContent(restored.files, await hashDirectory(extractedDir), [...VOLATILE_FILES, ...INSTALLATION_FILES]);
+    if (listFiles(extractedDir).length > 0 && !unchangedSinceRestore) {
+        const buildInfoPath = path.join(extractedDir, 'build_info.json');
+        const build = restored ? restored.build :
+            fs.existsSync(buildInfoPath) ? JSON.parse(fs.readFileSync(buildInfoPath, 'utf8')) : null;
+        const result = await createSnapshot({ build, label: BEFORE_RESTORE_LABEL });
+        if (result.created) archived = result.snapshot;
+    }
+    
+    const installation = new Map(INSTALLATION_FILES
+        .filter(file => fs.existsSync(path.join(extractedDir, file)))
+        .map(file => [file, fs.readFileSync(path.join(extractedDir, file))]));
+    
+    const filesDir = snapshotFilesDirectory(snapshot);
+    fs.rmSync(extractedDir, { recursive: true, force: true });
+    fs.cpSync(filesDir, extractedDir, {
+        recursive: true,
+        filter: source => !INSTALLATION_FILES.includes(path.relative(filesDir, source))
+    });
+    for (const [file, content] of installation) {
+        fs.writeFileSync(path.join(extractedDir, file), content);
+    }
+    fs.writeFileSync(path.join(snapshotRoot(), RESTORED_FILE), JSON.stringify({ id: snapshot.id, restoredAt: new Date().toISOString() }, null, 2));
+    
+    const cache = new BuildCache();
+    const forgotten = cache.forgetOutputs(EXTRACTED_DIR, INSTALLATION_FILES.map(file => `${EXTRACTED_DIR}/${file}`));
+    cache.save();
+    
+    return { snapshot, archived, forgotten };
+}
+
+/**
+ * Remove all but the newest snapshots
+ * 
+ * @param {Object} options
+ * @param {number} options.keep - Snapshots to keep
+ * @param {boolean} [options.perBuild=false] - Keep that many of every build instead of overall
+ * @param {boolean} [options.dryRun=false] - Only report what would be removed
+ * @returns {{kept: Object[], removed: Object[]}}
+ */
+export function pruneSnapshots({ keep, perBuild = false, dryRun = false }) {
+    if (!Number.isInteger(keep) || keep < 0) {
+        throw new Error('keep must be a whole number of snapshots, 0 or more');
+    }
+    
+    const groups = new Map();
+    for (const snapshot of listSnapshots().reverse()) {
+        const group = perBuild ? String(snapshot.build?.build) : 'all';
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(snapshot);
+    }
+    
+    const kept = [];
+    const removed = [];
+    for (const snapshots of groups.values()) {
+        kept.push(...snapshots.slice(0, keep));
+        removed.push(...snapshots.slice(keep));
+    }
+    
+    if (!dryRun) {
+        for (const snapshot of removed) {
+            fs.rmSync(snapshot.directory, { recursive: true, force: true });
+        }
+    }
+    
+    const byDate = (a, b) => a.createdAt.localeCompare(b.createdAt);
+    return { kept: kept.sort(byDate), removed: removed.sort(byDate) };
+}
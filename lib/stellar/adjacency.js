@@ -0,0 +1,84 @@
+/**
+ * Area Adjacency - Which regions and constellations border each other
+ * 
+ * Two areas are adjacent when a stargate connects a system in one to a
+ * system in the other. Each pair lists those gate connections, so the border
+ * systems on both sides are known.
+ */
+
+export const ADJACENCY_LEVELS = ['region', 'constellation'];
+
+/**
+ * Build the adjacency graph of regions or constellations
+ * 
+ * @param {StarMap} starMap
+ * @param {string} level - 'region' or 'constellation'
+ * @returns {Object} Area ID → { id, name, borderSystems, neighbours: [{ id, name, connections }] }
+ */
+export function buildAdjacency(starMap, level) {
+    if (!ADJACENCY_LEVELS.includes(level)) {
+        throw new Error(`Unknown adjacency level: ${level}. Options: ${ADJACENCY_LEVELS.join(', ')}`);
+    }
+    
+    const areas = level === 'region' ? starMap.regions : starMap.constellations;
+    const areaOf = level === 'region' ?
+        systemId => starMap.regionIdOf(systemId) :
+        systemId => starMap.systems.get(systemId)?.constellationId ?? null;
+    const systemRef = systemId => ({ id: systemId, name: starMap.systems.get(systemId).name });
+    const areaName = areaId => areas.get(areaId)?.name ?? `${level === 'region' ? 'Region' : 'Constellation'}_${areaId}`;
+    
+    const graph = {};
+    const entryFor = areaId => {
+        if (!graph[areaId]) {
+            graph[areaId] = { id: areaId, name: areaName(areaId), borderSystems: [], neighbours: {} };
+            if (level === 'constellation') {
+                graph[areaId].regionId = areas.get(areaId)?.regionId ?? null;
+            }
+        }
+        return graph[areaId];
+    };
+    
+    for (const areaId of areas.keys()) {
+        entryFor(areaId);
+    }
+    
+    for (const systemId of [...starMap.systems.keys()].sort((a, b) => a - b)) {
+        const areaId = areaOf(systemId);
+        if (areaId === null) continue;
+        
+        for (const neighbourId of starMap.neighbours(systemId)) {
+            const neighbourAreaId = areaOf(neighbourId);
+            if (neighbourAreaId === null || neighbourAreaId === areaId) continue;
+            
+            const entry = entryFor(areaId);
+            if (!entry.borderSystems.some(system => system.id === systemId)) {
+                entry.borderSystems.push(systemRef(systemId));
+            }
+            
+            if (!entry.neighbours[neighbourAreaId]) {
+                entry.neighbours[neighbourAreaId] = { id: neighbourAreaId, name: areaName(neighbourAreaId), connections: [] };
+                if (level === 'constellation') {
+                    entry.neighbours[neighbourAreaId].crossesRegion = starMap.regionIdOf(systemId) !== starMap.regionIdOf(neighbourId);
+                }
+            }
+            entry.neighbours[neighbourAreaId].connections.push({
+                from: systemRef(systemId),
+                to: systemRef(neighbourId),
+                stargateId: starMap.gateBetween(systemId, neighbourId)
+            });
+        }
+    }
+    
+    for (const entry of Object.values(graph)) {
+        entry.neighbours = Object.values(entry.neighbours).sort((a, b) => a.id - b.id);
+    }
+    
+    return graph;
+}
+
+/**
+ * Number of adjacent area pairs in a graph from buildAdjacency
+ */
+export function countAdjacentPairs(graph) {
+    return Object.values(graph).reduce((total, entry) => total + entry.neighbours.length, 0) / 2;
+}
@@ -0,0 +1,167 @@
+/**
+ * Celestials - Stars, planets, moons, asteroid belts and stargates
+ * 
+ * Reads the celestial bodies of each solar system in starmapcache.json:
+ * 
+ *   star          { id, typeID, ... }
+ *   planets       planet ID → { typeID, position, celestialIndex, moons, asteroidBelts }
+ *                 (moons and asteroidBelts: ID → { typeID, position })
+ *   planetItemIDs planet IDs, when the planets carry no details
+ *   stargates     gate ID → { destination, typeID, position }
+ * 
+ * Every body becomes a record with its kind, type, parent, position (within
+ * its system, in the star map's units) and name. Names come from the
+ * localization when the body has a nameID, otherwise they follow the in-game
+ * pattern: "<system> IV", "<system> IV - Moon 2", "Stargate (<destination>)".
+ */
+
+export const CELESTIALS_FILE = 'data/extracted/stellar_celestials.json';
+export const CELESTIAL_KINDS = ['stars', 'planets', 'moons', 'belts', 'stargates'];
+
+const ROMAN_NUMERALS = [
+    [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+    [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+];
+
+function toRoman(number) {
+    let remaining = number;
+    let result = '';
+    for (const [value, numeral] of ROMAN_NUMERALS) {
+        while (remaining >= value) {
+            result += numeral;
+            remaining -= value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Entries of an ID-keyed object or a list of records with an id field
+ */
+function entriesOf(collection) {
+    if (Array.isArray(collection)) {
+        return collection.map(item => typeof item === 'object' && item !== null ?
+            [item.id ?? item.itemID, item] :
+            [item, {}]);
+    }
+    return Object.entries(collection || {}).map(([id, item]) => [parseInt(id), item || {}]);
+}
+
+/**
+ * Extract the celestial bodies of every solar system
+ * 
+ * @param {Object} starMapCache - starmapcache.json contents
+ * @param {Object} [context]
+ * @param {Map<number, string>} [context.systemLabels] - System ID → name
+ * @param {Object} [context.localization] - Message ID → [text, ...] (localization_fsd_en-us.json)
+ * @param {Object} [context.types] - types.json contents, for type names
+ * @returns {{ stars, planets, moons, belts, stargates, bySystem: Map }} ID-keyed records per kind,
+ *   and per system the IDs of its bodies
+ */
+export function extractCelestials(starMapCache, { systemLabels = new Map(), localization = null, types = null } = {}) {
+    const celestials = Object.fromEntries(CELESTIAL_KINDS.map(kind => [kind, {}]));
+    const bySystem = new Map();
+    
+    const systemName = systemId => systemLabels.get(systemId) || `System_${systemId}`;
+    const localizedName = data => {
+        const entry = data.nameID !== undefined && localization ? localization[data.nameID] : null;
+        return Array.isArray(entry) && entry[0] ? entry[0] : null;
+    };
+    const typeName = typeId => {
+        const name = typeId !== null && types ? types[typeId]?.typeNameID : null;
+        return typeof name === 'string' && name !== '' ? name : null;
+    };
+    const record = (id, kind, data, fields) => {
+        const typeId = data.typeID ?? null;
+        celestials[kind][id] = {
+            id,
+            kind: kind.slice(0, -1),
+            typeId,
+            typeName: typeName(typeId),
+            ...fields,
+            position: data.position || null,
+            name: localizedName(data) || fields.name
+        };
+    };
+    
+    const solarSystems = entriesOf(starMapCache.solarSystems).sort(([a], [b]) => a - b);
+    
+    // Gate owners first, so each stargate can name the system on the other side
+    const gateOwners = new Map();
+    for (const [systemId, systemData] of solarSystems) {
+        for (const [gateId] of entriesOf(systemData.stargates)) {
+            gateOwners.set(gateId, systemId);
+        }
+    }
+    
+    for (const [systemId, systemData] of solarSystems) {
+        const references = { starId: null, planetIds: [], moonIds: [], beltIds: [], stargateIds: [] };
+        const system = systemName(systemId);
+        
+        if (systemData.star?.id) {
+            references.starId = systemData.star.id;
+            record(systemData.star.id, 'stars', systemData.star, { systemId, parentId: null, name: system });
+        }
+        
+        // Planets with details, or bare planet IDs; numbered by celestial index, else in listed order
+        const planets = systemData.planets ? entriesOf(systemData.planets) :
+            (systemData.planetItemIDs || []).map(id => [id, {}]);
+        
+        planets.forEach(([planetId, planetData], order) => {
+            const index = planetData.celestialIndex ?? order + 1;
+            const planetName = `${system} ${toRoman(index)}`;
+            references.planetIds.push(planetId);
+            record(planetId, 'planets', planetData, {
+                systemId,
+                parentId: references.starId,
+                celestialIndex: index,
+                name: planetName
+            });
+            
+            entriesOf(planetData.moons).forEach(([moonId, moonData], moonOrder) => {
+                const orbitIndex = moonData.orbitIndex ?? moonOrder + 1;
+                references.moonIds.push(moonId);
+                record(moonId, 'moons', moonData, {
+                    systemId,
+                    parentId: planetId,
+                    orbitIndex,
+                    name: `${planetName} - Moon ${orbitIndex}`
+                });
+            });
+            
+            entriesOf(planetData.asteroidBelts).forEach(([beltId, beltData], beltOrder) => {
+                const orbitIndex = beltData.orbitIndex ?? beltOrder + 1;
+                references.beltIds.push(beltId);
+                record(beltId, 'belts', beltData, {
+                    systemId,
+                    parentId: planetId,
+                    orbitIndex,
+                    name: `${planetName} - Asteroid Belt ${orbitIndex}`
+                });
+            });
+        });
+        
+        for (const [gateId, gateData] of entriesOf(systemData.stargates)) {
+            const destinationGateId = typeof gateData === 'object' ? gateData.destination ?? null : gateData;
+            const destinationSystemId = gateOwners.get(destinationGateId) ?? null;
+            references.stargateIds.push(gateId);
+            record(gateId, 'stargates', typeof gateData === 'object' ? gateData : {}, {
+                systemId,
+                parentId: null,
+                destination: { stargateId: destinationGateId, systemId: destinationSystemId },
+                name: destinationSystemId ? `Stargate (${systemName(destinationSystemId)})` : `Stargate ${gateId}`
+            });
+        }
+        
+        bySystem.set(systemId, references);
+    }
+    
+    return { ...celestials, bySystem };
+}
+
+/**
+ * Number of records of each kind
+ */
+export function countCelestials(celestials) {
+    return Object.fromEntries(CELESTIAL_KINDS.map(kind => [kind, Object.keys(celestials[kind]).length]));
+}
@@ -0,0 +1,406 @@
+/**
+ * Graph Analysis - Structure of the stargate network
+ * 
+ * Produces the contents of stellar_graph_report.json:
+ * 
+ *   components       connected groups of systems, smallest listed in full
+ *   isolatedSystems  systems without any gate
+ *   deadEnds         systems with a single gate
+ *   chokepoints      articulation points (systems whose loss splits the
+ *                    network) and bridges (gates whose loss does), with the
+ *                    size of the pocket each bridge is the only way into
+ *   degree           gates per system
+ *   diameter         longest shortest route in the largest component
+ *   regions          per-region size, gates and most central systems
+ *   inconsistencies  problems in the raw neighbour and stargate data
+ */
+
+import { stargateEntries } from './star-map.js';
+import { buildAdjacency } from './adjacency.js';
+
+/**
+ * Breadth-first distances from one system
+ * 
+ * @param {Map<number, number[]>} adjacency
+ * @param {number} start
+ * @param {Set<number>} [within] - Only walk these systems
+ */
+function breadthFirst(adjacency, start, within = null) {
+    const distances = new Map([[start, 0]]);
+    const order = [start];
+    let farthest = start;
+    
+    for (let head = 0; head < order.length; head++) {
+        const current = order[head];
+        for (const next of adjacency.get(current)) {
+            if (distances.has(next) || (within && !within.has(next))) continue;
+            distances.set(next, distances.get(current) + 1);
+            order.push(next);
+            farthest = next;
+        }
+    }
+    
+    return { distances, order, farthest, eccentricity: distances.get(farthest) };
+}
+
+/**
+ * Connected components, largest first
+ */
+function findComponents(adjacency) {
+    const seen = new Set();
+    const components = [];
+    
+    for (const id of adjacency.keys()) {
+        if (seen.has(id)) continue;
+        const { order } = breadthFirst(adjacency, id);
+        order.forEach(member => seen.add(member));
+        components.push(order.sort((a, b) => a - b));
+    }
+    
+    return components.sort((a, b) => b.length - a.length || a[0] - b[0]);
+}
+
+/**
+ * Articulation points and bridges (Tarjan), iteratively to cope with long
+ * chains of systems
+ */
+function findChokepoints(adjacency, componentSizeOf) {
+    const discovered = new Map();
+    const low = new Map();
+    const parent = new Map();
+    const subtreeSize = new Map();
+    const articulationPoints = new Set();
+    const bridges = [];
+    let time = 0;
+    
+    for (const root of adjacency.keys()) {
+        if (discovered.has(root)) continue;
+        
+        discovered.set(root, time);
+        low.set(root, time++);
+        parent.set(root, null);
+        subtreeSize.set(root, 1);
+        let rootChildren = 0;
+        const stack = [{ node: root, next: 0 }];
+        
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const neighbours = adjacency.get(frame.node);
+            
+            if (frame.next < neighbours.length) {
+                const neighbour = neighbours[frame.next++];
+                if (!discovered.has(neighbour)) {
+                    discovered.set(neighbour, time);
+                    low.set(neighbour, time++);
+                    parent.set(neighbour, frame.node);
+                    subtreeSize.set(neighbour, 1);
+                    if (frame.node === root) rootChildren++;
+                    stack.push({ node: neighbour, next: 0 });
+                } else if (neighbour !== parent.get(frame.node)) {
+                    low.set(frame.node, Math.min(low.get(frame.node), discovered.get(neighbour)));
+                }
+                continue;
+            }
+            
+            stack.pop();
+            const node = frame.node;
+            const above = parent.get(node);
+            if (above === null) continue;
+            
+            low.set(above, Math.min(low.get(above), low.get(node)));
+            subtreeSize.set(above, subtreeSize.get(above) + subtreeSize.get(node));
+            
+            if (low.get(node) > discovered.get(above)) {
+                // Everything below node is reachable only through this gate
+                const below = subtreeSize.get(node);
+                bridges.push({ from: above, to: node, pocketSize: Math.min(below, componentSizeOf(node) - below) });
+            }
+            if (parent.get(above) !== null && low.get(node) >= discovered.get(above)) {
+                articulationPoints.add(above);
+            }
+        }
+        
+        if (rootChildren > 1) {
+            articulationPoints.add(root);
+        }
+    }
+    
+    return { articulationPoints: [...articulationPoints].sort((a, b) => a - b), bridges };
+}
+
+/**
+ * Exact diameter of a connected component (iFUB)
+ * 
+ * Starts from a central system found by a double sweep, then computes
+ * eccentricities level by level from the farthest systems inwards, stopping
+ * once no closer level can hold a longer route.
+ */
+function findDiameter(adjacency, members) {
+    if (members.length < 2) {
+        return { jumps: 0, from: members[0], to: members[0] };
+    }
+    
+    const within = new Set(members);
+    const first = breadthFirst(adjacency, members[0], within);
+    const sweep = breadthFirst(adjacency, first.farthest, within);
+    let best = { jumps: sweep.eccentricity, from: first.farthest, to: sweep.farthest };
+    
+    // Midpoint of the sweep's longest route: walk back half-way from its far end
+    let center = sweep.farthest;
+    for (let step = 0; step < Math.floor(sweep.eccentricity / 2); step++) {
+        center = adjacency.get(center).find(next => sweep.distances.get(next) === sweep.distances.get(center) - 1);
+    }
+    
+    const fromCenter = breadthFirst(adjacency, center, within);
+    const levels = [];
+    for (const [id, distance] of fromCenter.distances) {
+        (levels[distance] = levels[distance] || []).push(id);
+    }
+    
+    for (let level = fromCenter.eccentricity; level > 0; level--) {
+        for (const id of levels[level]) {
+            const result = breadthFirst(adjacency, id, within);
+            if (result.eccentricity > best.jumps) {
+                best = { jumps: result.eccentricity, from: id, to: result.farthest };
+            }
+        }
+        if (best.jumps > 2 * (level - 1)) break;
+    }
+    
+    return best;
+}
+
+/**
+ * Betweenness (Brandes) and closeness of each system in a subgraph
+ */
+function centrality(adjacency, members) {
+    const within = new Set(members);
+    const betweenness = new Map(members.map(id => [id, 0]));
+    const closeness = new Map();
+    
+    for (const source of members) {
+        const stack = [];
+        const predecessors = new Map(members.map(id => [id, []]));
+        const paths = new Map(members.map(id => [id, 0]));
+        const distance = new Map([[source, 0]]);
+        paths.set(source, 1);
+        const queue = [source];
+        
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            stack.push(current);
+            for (const next of adjacency.get(current)) {
+                if (!within.has(next)) continue;
+                if (!distance.has(next)) {
+                    distance.set(next, distance.get(current) + 1);
+                    queue.push(next);
+                }
+                if (distance.get(next) === distance.get(current) + 1) {
+                    paths.set(next, paths.get(next) + paths.get(current));
+                    predecessors.get(next).push(current);
+                }
+            }
+        }
+        
+        // Reachable systems over total distance, scaled by the share of the subgraph reached
+        const reached = distance.size - 1;
+        const total = [...distance.values()].reduce((sum, value) => sum + value, 0);
+        closeness.set(source, total > 0 ? (reached / total) * (reached / Math.max(1, members.length - 1)) : 0);
+        
+        const dependency = new Map(members.map(id => [id, 0]));
+        while (stack.length > 0) {
+            const node = stack.pop();
+            for (const previous of predecessors.get(node)) {
+                dependency.set(previous, dependency.get(previous) + (paths.get(previous) / paths.get(node)) * (1 + dependency.get(node)));
+            }
+            if (node !== source) {
+                betweenness.set(node, betweenness.get(node) + dependency.get(node));
+            }
+        }
+    }
+    
+    // Each pair was counted from both ends; normalize by the number of pairs excluding the system itself
+    const pairs = (members.length - 1) * (members.length - 2);
+    for (const [id, value] of betweenness) {
+        betweenness.set(id, pairs > 0 ? value / pairs : 0);
+    }
+    
+    return { betweenness, closeness };
+}
+
+/**
+ * Problems in the raw navigation data
+ */
+function findInconsistencies(starMap) {
+    const systemRef = id => ({ id, name: starMap.systems.get(id)?.name ?? null });
+    const asymmetricNeighbours = [];
+    const unknownNeighbours = [];
+    const selfNeighbours = [];
+    const duplicateNeighbours = [];
+    const unresolvedStargates = [];
+    const membershipMismatches = [];
+    
+    for (const system of [...starMap.systems.values()].sort((a, b) => a.id - b.id)) {
+        const neighbours = system.navigation?.neighbours || [];
+        const seen = new Set();
+        
+        for (const neighbourId of neighbours) {
+            if (seen.has(neighbourId)) {
+                duplicateNeighbours.push({ system: systemRef(system.id), neighbourId });
+                continue;
+            }
+            seen.add(neighbourId);
+            
+            if (neighbourId === system.id) {
+                selfNeighbours.push(systemRef(system.id));
+            } else if (!starMap.systems.has(neighbourId)) {
+                unknownNeighbours.push({ system: systemRef(system.id), neighbourId });
+            } else if (!(starMap.systems.get(neighbourId).navigation?.neighbours || []).includes(system.id)) {
+                asymmetricNeighbours.push({ system: systemRef(system.id), neighbour: systemRef(neighbourId) });
+            }
+        }
+        
+        for (const gate of stargateEntries(system.navigation?.stargates)) {
+            const destinationSystem = starMap.gateDestination(gate);
+            if (destinationSystem === null) {
+                unresolvedStargates.push({ system: systemRef(system.id), stargateId: gate.id, destination: gate.destination });
+            } else if (neighbours.length > 0 && !neighbours.includes(destinationSystem)) {
+                unresolvedStargates.push({ system: systemRef(system.id), stargateId: gate.id, destination: gate.destination, reason: 'not a listed neighbour' });
+            }
+        }
+        
+        const constellation = starMap.constellations.get(system.constellationId);
+        if (constellation && !constellation.solarSystemIds.includes(system.id)) {
+            membershipMismatches.push({ system: systemRef(system.id), constellationId: constellation.id });
+        }
+        if (constellation && system.regionId !== null && constellation.regionId !== null && constellation.regionId !== system.regionId) {
+            membershipMismatches.push({ system: systemRef(system.id), regionId: system.regionId, constellationRegionId: constellation.regionId });
+        }
+    }
+    
+    return {
+        counts: {
+            asymmetricNeighbours: asymmetricNeighbours.length,
+            unknownNeighbours: unknownNeighbours.length,
+            selfNeighbours: selfNeighbours.length,
+            duplicateNeighbours: duplicateNeighbours.length,
+            unresolvedStargates: unresolvedStargates.length,
+            membershipMismatches: membershipMismatches.length
+        },
+        asymmetricNeighbours,
+        unknownNeighbours,
+        selfNeighbours,
+        duplicateNeighbours,
+        unresolvedStargates,
+        membershipMismatches
+    };
+}
+
+/**
+ * Analyze the gate network of a star map
+ * 
+ * @param {StarMap} starMap
+ * @param {Object} [options]
+ * @param {number} [options.centralSystems=5] - Most central systems listed per region
+ * @param {number} [options.listComponentsUpTo=100] - List the members of components up to this size
+ * @param {Object} [options.regionAdjacency] - Region graph from buildAdjacency, when already built
+ */
+export function analyzeStarMap(starMap, { centralSystems = 5, listComponentsUpTo = 100, regionAdjacency = buildAdjacency(starMap, 'region') } = {}) {
+    const ids = [...starMap.systems.keys()].sort((a, b) => a - b);
+    const adjacency = new Map(ids.map(id => [id, starMap.neighbours(id)]));
+    const systemRef = id => ({ id, name: starMap.systems.get(id).name });
+    const describe = id => {
+        const { name, constellation, region } = starMap.describeSystem(id);
+        return { id, name, constellation: constellation?.name ?? null, region: region?.name ?? null };
+    };
+    
+    const edges = ids.reduce((total, id) => total + adjacency.get(id).length, 0) / 2;
+    
+    // Components
+    const components = findComponents(adjacency);
+    const componentOf = new Map();
+    components.forEach((members, index) => members.forEach(id => componentOf.set(id, index)));
+    const componentSizeOf = id => components[componentOf.get(id)].length;
+    
+    // Degrees
+    const distribution = {};
+    for (const id of ids) {
+        const degree = adjacency.get(id).length;
+        distribution[degree] = (distribution[degree] || 0) + 1;
+    }
+    const degrees = ids.map(id => adjacency.get(id).length);
+    
+    // Chokepoints
+    const { articulationPoints, bridges } = findChokepoints(adjacency, componentSizeOf);
+    
+    // Diameter of the largest component
+    const largest = components[0] || [];
+    const diameter = largest.length > 0 ? findDiameter(adjacency, largest) : null;
+    
+    // Per-region structure and centrality
+    const regionIds = [...starMap.regions.keys()].sort((a, b) => a - b);
+    const regionGraph = new Map(regionIds.map(id => [id, (regionAdjacency[id]?.neighbours || []).map(neighbour => neighbour.id)]));
+    const regionCentrality = centrality(regionGraph, regionIds);
+    
+    const regions = regionIds.map(regionId => {
+        const members = ids.filter(id => starMap.regionIdOf(id) === regionId);
+        const memberSet = new Set(members);
+        const internalGates = members.reduce((total, id) => total + adjacency.get(id).filter(next => memberSet.has(next)).length, 0) / 2;
+        const { betweenness, closeness } = centrality(adjacency, members);
+        
+        return {
+            id: regionId,
+            name: starMap.regions.get(regionId).name,
+            systems: members.length,
+            internalGates,
+            borderSystems: regionAdjacency[regionId]?.borderSystems.length ?? 0,
+            neighbouringRegions: regionGraph.get(regionId).length,
+            betweenness: regionCentrality.betweenness.get(regionId),
+            centralSystems: members
+                .map(id => ({
+                    ...systemRef(id),
+                    degree: adjacency.get(id).filter(next => memberSet.has(next)).length,
+                    betweenness: betweenness.get(id),
+                    closeness: closeness.get(id)
+                }))
+                .sort((a, b) => b.betweenness - a.betweenness || b.closeness - a.closeness || a.id - b.id)
+                .slice(0, centralSystems)
+        };
+    });
+    
+    return {
+        generated: new Date().toISOString(),
+        systems: ids.length,
+        gateConnections: edges,
+        components: {
+            count: components.length,
+            largestSize: largest.length,
+            sizes: components.map(members => members.length),
+            disconnected: components.slice(1)
+                .filter(members => members.length <= listComponentsUpTo)
+                .map(members => ({ size: members.length, systems: members.map(describe) }))
+        },
+        isolatedSystems: ids.filter(id => adjacency.get(id).length === 0).map(describe),
+        deadEnds: ids.filter(id => adjacency.get(id).length === 1).map(describe),
+        chokepoints: {
+            articulationPoints: articulationPoints.map(describe),
+            bridges: bridges
+                .map(({ from, to, pocketSize }) => ({ from: describe(from), to: describe(to), pocketSize }))
+                .sort((a, b) => b.pocketSize - a.pocketSize || a.from.id - b.from.id)
+        },
+        degree: {
+            min: degrees.length > 0 ? Math.min(...degrees) : 0,
+            max: degrees.length > 0 ? Math.max(...degrees) : 0,
+            mean: degrees.length > 0 ? edges * 2 / degrees.length : 0,
+            distribution
+        },
+        diameter: diameter && {
+            jumps: diameter.jumps,
+            from: describe(diameter.from),
+            to: describe(diameter.to),
+            componentSize: largest.length
+        },
+        regions,
+        inconsistencies: findInconsistencies(starMap)
+    };
+}
@@ -0,0 +1,327 @@
+/**
+ * Route Planning - Shortest routes across the star map
+ * 
+ * Gate routes minimise the number of gate jumps. Jump routes also allow
+ * jumping straight to any system within a maximum distance, measured between
+ * system centers in light-years. Systems, constellations and regions can be
+ * avoided; the origin, destination and waypoints are always allowed even when
+ * they fall inside an avoided area.
+ */
+
+import { SpatialIndex } from './spatial-index.js';
+
+export const ROUTE_OPTIMIZATIONS = ['hops', 'distance'];
+
+// System centers are in meters; override with stellar.unitsPerLightYear in eve-frontier-tools.config.json
+export const DEFAULT_UNITS_PER_LIGHT_YEAR = 9460730472580800;
+
+/**
+ * Breadth-first search for the fewest gate jumps between two systems
+ * 
+ * @returns {number[]|null} System IDs from origin to destination, or null when unreachable
+ */
+export function findGatePath(starMap, fromId, toId, blocked = new Set()) {
+    if (fromId === toId) return [fromId];
+    
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+    
+    for (let head = 0; head < queue.length; head++) {
+        const current = queue[head];
+        
+        for (const next of starMap.neighbours(current)) {
+            if (previous.has(next) || (blocked.has(next) && next !== toId)) continue;
+            
+            previous.set(next, current);
+            if (next === toId) {
+                const path = [];
+                for (let id = toId; id !== null; id = previous.get(id)) {
+                    path.unshift(id);
+                }
+                return path;
+            }
+            queue.push(next);
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Describe each system on a route and where it crosses into another
+ * constellation or region
+ * 
+ * @param {Object} starMap
+ * @param {number[]} path - System IDs in travel order
+ * @param {Map<number, string>} stops - Role of the origin, waypoints and destination
+ */
+export function describeRoute(starMap, path, stops) {
+    const hops = [];
+    const transitions = [];
+    
+    path.forEach((systemId, index) => {
+        const hop = starMap.describeSystem(systemId);
+        const previous = hops[index - 1];
+        
+        hop.stargateId = previous ? starMap.gateBetween(previous.id, systemId) : null;
+        hop.transition = null;
+        
+        if (previous && hop.region?.id !== previous.region?.id) {
+            hop.transition = 'region';
+            transitions.push({ hop: index, type: 'region', from: previous.region, to: hop.region });
+        } else if (previous && hop.constellation?.id !== previous.constellation?.id) {
+            hop.transition = 'constellation';
+            transitions.push({ hop: index, type: 'constellation', from: previous.constellation, to: hop.constellation });
+        }
+        
+        if (stops.has(index)) {
+            hop.stop = stops.get(index);
+        }
+        hops.push(hop);
+    });
+    
+    return { hops, transitions };
+}
+
+/**
+ * Plan the shortest gate route between two systems
+ * 
+ * @param {StarMap} starMap
+ * @param {Object} request
+ * @param {string|number} request.from - System name or ID
+ * @param {string|number} request.to - System name or ID
+ * @param {Array<string|number>} [request.via] - Waypoints, visited in order
+ * @param {Object} [request.avoid] - { systems, constellations, regions } names or IDs
+ */
+export function planGateRoute(starMap, { from, to, via = [], avoid = {} }) {
+    const stops = [from, ...via, to].map(query => starMap.resolveSystem(query).id);
+    
+    const blocked = starMap.expandSystems(avoid);
+    for (const stop of stops) {
+        blocked.delete(stop);
+    }
+    
+    const path = [stops[0]];
+    const stopIndexes = new Map([[0, 'origin']]);
+    
+    for (let leg = 1; leg < stops.length; leg++) {
+        const legPath = findGatePath(starMap, stops[leg - 1], stops[leg], blocked);
+        if (!legPath) {
+            const fromName = starMap.describeSystem(stops[leg - 1]).name;
+            const toName = starMap.describeSystem(stops[leg]).name;
+            throw new Error(`No gate route from ${fromName} to ${toName}${blocked.size > 0 ? ` avoiding ${blocked.size} systems` : ''}`);
+        }
+        
+        path.push(...legPath.slice(1));
+        stopIndexes.set(path.length - 1, leg === stops.length - 1 ? 'destination' : 'waypoint');
+    }
+    
+    const { hops, transitions } = describeRoute(starMap, path, stopIndexes);
+    
+    return {
+        from: starMap.describeSystem(stops[0]),
+        to: starMap.describeSystem(stops[stops.length - 1]),
+        via: stops.slice(1, -1).map(id => starMap.describeSystem(id)),
+        jumps: path.length - 1,
+        avoidedSystems: blocked.size,
+        hops,
+        transitions
+    };
+}
+
+/**
+ * Distance between two system centers in light-years
+ */
+export function lightYearsBetween(a, b, unitsPerLightYear = DEFAULT_UNITS_PER_LIGHT_YEAR) {
+    const [ax, ay, az] = a.center;
+    const [bx, by, bz] = b.center;
+    return Math.hypot(ax - bx, ay - by, az - bz) / unitsPerLightYear;
+}
+
+/**
+ * Binary min-heap of [primary, secondary, value] entries
+ */
+class CostQueue {
+    constructor() {
+        this.items = [];
+    }
+    
+    get size() {
+        return this.items.length;
+    }
+    
+    static before(a, b) {
+        return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+    }
+    
+    push(entry) {
+        const items = this.items;
+        items.push(entry);
+        for (let i = items.length - 1; i > 0;) {
+            const parent = (i - 1) >> 1;
+            if (!CostQueue.before(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+    
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            for (let i = 0; ;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && CostQueue.before(items[left], items[smallest])) smallest = left;
+                if (right < items.length && CostQueue.before(items[right], items[smallest])) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * Cheapest path mixing gate jumps and range jumps (Dijkstra)
+ * 
+ * Costs compare as (hops, light-years) when optimizing for hops and as
+ * (light-years, hops) when optimizing for distance. A gate is preferred over
+ * a range jump between the same two systems.
+ * 
+ * @returns {Array<{ systemId: number, mode: string|null, distance: number }>|null}
+ */
+export function findJumpPath(starMap, fromId, toId, { maxJump, optimize, unitsPerLightYear, useGates, blocked, spatialIndex }) {
+    const cost = (hops, distance) => optimize === 'distance' ? [distance, hops] : [hops, distance];
+    const best = new Map([[fromId, { hops: 0, distance: 0 }]]);
+    const previous = new Map([[fromId, null]]);
+    const settled = new Set();
+    const queue = new CostQueue();
+    queue.push([...cost(0, 0), fromId]);
+    
+    while (queue.size > 0) {
+        const [, , current] = queue.pop();
+        if (settled.has(current)) continue;
+        settled.add(current);
+        if (current === toId) break;
+        
+        const system = starMap.systems.get(current);
+        const { hops, distance } = best.get(current);
+        const edges = [];
+        
+        if (useGates) {
+            for (const next of starMap.neighbours(current)) {
+                edges.push({ next, mode: 'gate', length: lightYearsBetween(system, starMap.systems.get(next), unitsPerLightYear) });
+            }
+        }
+        for (const { id, distance: units } of spatialIndex.withinRadius(system.center, maxJump * unitsPerLightYear)) {
+            if (id !== current) {
+                edges.push({ next: id, mode: 'jump', length: units / unitsPerLightYear });
+            }
+        }
+        
+        for (const { next, mode, length } of edges) {
+            if (settled.has(next) || (blocked.has(next) && next !== toId)) continue;
+            
+            const known = best.get(next);
+            const candidateCost = cost(hops + 1, distance + length);
+            if (known && !CostQueue.before(candidateCost, cost(known.hops, known.distance))) continue;
+            
+            best.set(next, { hops: hops + 1, distance: distance + length });
+            previous.set(next, { from: current, mode, length });
+            queue.push([...candidateCost, next]);
+        }
+    }
+    
+    if (!previous.has(toId)) return null;
+    
+    const path = [];
+    for (let id = toId; id !== fromId; id = previous.get(id).from) {
+        const { mode, length } = previous.get(id);
+        path.unshift({ systemId: id, mode, distance: length });
+    }
+    path.unshift({ systemId: fromId, mode: null, distance: 0 });
+    return path;
+}
+
+/**
+ * Plan a route that may jump directly between systems within range
+ * 
+ * @param {StarMap} starMap
+ * @param {Object} request - As planGateRoute, plus:
+ * @param {number} request.maxJump - Maximum jump distance in light-years
+ * @param {string} [request.optimize='hops'] - 'hops' or 'distance'
+ * @param {boolean} [request.useGates=true] - Also travel through stargates
+ * @param {number} [request.unitsPerLightYear] - Coordinate units in one light-year
+ */
+export function planJumpRoute(starMap, {
+    from,
+    to,
+    via = [],
+    avoid = {},
+    maxJump,
+    optimize = 'hops',
+    useGates = true,
+    unitsPerLightYear = DEFAULT_UNITS_PER_LIGHT_YEAR
+}) {
+    if (!(maxJump > 0)) {
+        throw new Error('Jump routes need a maximum jump distance in light-years');
+    }
+    if (!ROUTE_OPTIMIZATIONS.includes(optimize)) {
+        throw new Error(`Unknown route optimization: ${optimize}. Options: ${ROUTE_OPTIMIZATIONS.join(', ')}`);
+    }
+    
+    const stops = [from, ...via, to].map(query => starMap.resolveSystem(query).id);
+    
+    const blocked = starMap.expandSystems(avoid);
+    for (const stop of stops) {
+        blocked.delete(stop);
+    }
+    
+    const spatialIndex = SpatialIndex.build([...starMap.systems.values()]);
+    const search = { maxJump, optimize, unitsPerLightYear, useGates, blocked, spatialIndex };
+    const legs = [{ systemId: stops[0], mode: null, distance: 0 }];
+    const stopIndexes = new Map([[0, 'origin']]);
+    
+    for (let leg = 1; leg < stops.length; leg++) {
+        const legPath = findJumpPath(starMap, stops[leg - 1], stops[leg], search);
+        if (!legPath) {
+            const fromName = starMap.describeSystem(stops[leg - 1]).name;
+            const toName = starMap.describeSystem(stops[leg]).name;
+            throw new Error(`No route from ${fromName} to ${toName} within ${maxJump} ly jumps${useGates ? ' and gates' : ''}`);
+        }
+        
+        legs.push(...legPath.slice(1));
+        stopIndexes.set(legs.length - 1, leg === stops.length - 1 ? 'destination' : 'waypoint');
+    }
+    
+    const { hops, transitions } = describeRoute(starMap, legs.map(leg => leg.systemId), stopIndexes);
+    hops.forEach((hop, index) => {
+        if (legs[index].mode === 'jump') {
+            hop.stargateId = null;
+        }
+        hop.mode = legs[index].mode;
+        hop.distanceLy = legs[index].distance;
+    });
+    
+    return {
+        from: starMap.describeSystem(stops[0]),
+        to: starMap.describeSystem(stops[stops.length - 1]),
+        via: stops.slice(1, -1).map(id => starMap.describeSystem(id)),
+        maxJumpLy: maxJump,
+        optimize,
+        unitsPerLightYear,
+        legs: legs.length - 1,
+        gateJumps: legs.filter(leg => leg.mode === 'gate').length,
+        rangeJumps: legs.filter(leg => leg.mode === 'jump').length,
+        totalDistanceLy: legs.reduce((total, leg) => total + leg.distance, 0),
+        longestJumpLy: Math.max(0, ...legs.filter(leg => leg.mode === 'jump').map(leg => leg.distance)),
+        avoidedSystems: blocked.size,
+        hops,
+        transitions
+    };
+}
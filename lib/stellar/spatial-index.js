@@ -0,0 +1,214 @@
+/**
+ * Spatial Index - Nearest-system, radius and bounding-box queries
+ * 
+ * A balanced k-d tree over system centers, stored implicitly: the systems of
+ * a subtree occupy a contiguous range of the arrays, with the median (the
+ * splitting node) in the middle of the range. Depth d splits on axis d % 3.
+ * Persisted as data/extracted/stellar_spatial_index.json:
+ * 
+ *   { version, type: 'kd-tree', count, ids: [...], coordinates: [x, y, z, ...] }
+ * 
+ * Coordinates and distances are in the star map's own units.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { projectRoot } from '../utils.js';
+
+const INDEX_VERSION = 1;
+export const SPATIAL_INDEX_FILE = 'data/extracted/stellar_spatial_index.json';
+
+export class SpatialIndex {
+    /**
+     * @param {number[]} ids - System IDs in tree order
+     * @param {number[]} coordinates - x, y, z of each system, in tree order
+     */
+    constructor(ids, coordinates) {
+        this.ids = ids;
+        this.coordinates = coordinates;
+    }
+    
+    /**
+     * Build the tree from systems with a center
+     */
+    static build(systems) {
+        const ids = new Array(systems.length);
+        const coordinates = new Array(systems.length * 3);
+        
+        const place = (list, start, depth) => {
+            if (list.length === 0) return;
+            
+            const axis = depth % 3;
+            list.sort((a, b) => a.center[axis] - b.center[axis]);
+            const mid = list.length >> 1;
+            const position = start + mid;
+            
+            ids[position] = list[mid].id;
+            for (let axisIndex = 0; axisIndex < 3; axisIndex++) {
+                coordinates[position * 3 + axisIndex] = list[mid].center[axisIndex];
+            }
+            
+            place(list.slice(0, mid), start, depth + 1);
+            place(list.slice(mid + 1), position + 1, depth + 1);
+        };
+        
+        place(systems.map(system => ({ id: system.id, center: system.center })), 0, 0);
+        return new SpatialIndex(ids, coordinates);
+    }
+    
+    static fromJSON(data) {
+        if (data.version !== INDEX_VERSION || data.type !== 'kd-tree') {
+            throw new Error(`Unsupported spatial index (version ${data.version}). Rerun the stellar step.`);
+        }
+        return new SpatialIndex(data.ids, data.coordinates);
+    }
+    
+    toJSON() {
+        return {
+            version: INDEX_VERSION,
+            type: 'kd-tree',
+            count: this.ids.length,
+            ids: this.ids,
+            coordinates: this.coordinates
+        };
+    }
+    
+    get size() {
+        return this.ids.length;
+    }
+    
+    point(position) {
+        return this.coordinates.slice(position * 3, position * 3 + 3);
+    }
+    
+    squaredDistance(position, point) {
+        const offset = position * 3;
+        const dx = this.coordinates[offset] - point[0];
+        const dy = this.coordinates[offset + 1] - point[1];
+        const dz = this.coordinates[offset + 2] - point[2];
+        return dx * dx + dy * dy + dz * dz;
+    }
+    
+    /**
+     * Visit the nodes of the subtrees that may hold points for a query
+     * 
+     * @param {Object} query
+     * @param {Function} query.visit - (position) => void, called for each node reached
+     * @param {Function} query.descend - (axis, split, side) => boolean, where side is 'low' or 'high'
+     * @param {Function} [query.order] - (axis, split) => sides in the order to search them
+     */
+    walk(query, start = 0, end = this.ids.length, depth = 0) {
+        if (start >= end) return;
+        
+        const position = start + ((end - start) >> 1);
+        const axis = depth % 3;
+        const split = this.coordinates[position * 3 + axis];
+        
+        query.visit(position);
+        
+        const sides = query.order ? query.order(axis, split) : ['low', 'high'];
+        for (const side of sides) {
+            if (!query.descend(axis, split, side)) continue;
+            if (side === 'low') {
+                this.walk(query, start, position, depth + 1);
+            } else {
+                this.walk(query, position + 1, end, depth + 1);
+            }
+        }
+    }
+    
+    /**
+     * The k systems closest to a point
+     * 
+     * @param {number[]} point - [x, y, z]
+     * @param {number} k
+     * @param {Object} [options]
+     * @param {Set<number>} [options.exclude] - System IDs to skip, e.g. the query system itself
+     * @returns {Array<{ id: number, distance: number }>} Closest first
+     */
+    nearest(point, k, { exclude = new Set() } = {}) {
+        const best = [];
+        const worst = () => best.length < k ? Infinity : best[best.length - 1].squared;
+        
+        const visit = position => {
+            if (exclude.has(this.ids[position])) return;
+            
+            const squared = this.squaredDistance(position, point);
+            if (squared >= worst()) return;
+            
+            let index = best.length;
+            while (index > 0 && best[index - 1].squared > squared) index--;
+            best.splice(index, 0, { position, squared });
+            if (best.length > k) best.pop();
+        };
+        
+        this.walk({
+            visit,
+            // The far side can only help when the splitting plane is closer than the current k-th system
+            descend: (axis, split, side) => {
+                const gap = point[axis] - split;
+                return side === (gap < 0 ? 'low' : 'high') || gap * gap < worst();
+            },
+            // Searching the query's own side first tightens the bound sooner
+            order: (axis, split) => point[axis] < split ? ['low', 'high'] : ['high', 'low']
+        });
+        
+        return best.map(({ position, squared }) => ({ id: this.ids[position], distance: Math.sqrt(squared) }));
+    }
+    
+    /**
+     * Systems within a distance of a point
+     * 
+     * @returns {Array<{ id: number, distance: number }>} Closest first
+     */
+    withinRadius(point, radius) {
+        const squaredRadius = radius * radius;
+        const found = [];
+        
+        this.walk({
+            visit: position => {
+                const squared = this.squaredDistance(position, point);
+                if (squared <= squaredRadius) {
+                    found.push({ id: this.ids[position], distance: Math.sqrt(squared) });
+                }
+            },
+            descend: (axis, split, side) => side === 'low' ? point[axis] - radius <= split : point[axis] + radius >= split
+        });
+        
+        return found.sort((a, b) => a.distance - b.distance);
+    }
+    
+    /**
+     * Systems inside an axis-aligned box
+     * 
+     * @param {number[]} min - [x, y, z] lower corner
+     * @param {number[]} max - [x, y, z] upper corner
+     * @returns {Array<{ id: number, center: number[] }>} In ascending ID order
+     */
+    withinBox(min, max) {
+        const found = [];
+        
+        this.walk({
+            visit: position => {
+                const center = this.point(position);
+                if (center.every((value, axis) => value >= min[axis] && value <= max[axis])) {
+                    found.push({ id: this.ids[position], center });
+                }
+            },
+            descend: (axis, split, side) => side === 'low' ? min[axis] <= split : max[axis] >= split
+        });
+        
+        return found.sort((a, b) => a.id - b.id);
+    }
+}
+
+/**
+ * Load the index written by the stellar step
+ */
+export function loadSpatialIndex(root = projectRoot) {
+    const filePath = path.join(root, SPATIAL_INDEX_FILE);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`${SPATIAL_INDEX_FILE} not found. Run the stellar step first: npm run pipeline -- --steps stellar`);
+    }
+    return SpatialIndex.fromJSON(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
@@ -0,0 +1,223 @@
+/**
+ * Star Map - Query the extracted stellar datasets
+ * 
+ * Loads stellar_systems.json, stellar_constellations.json and
+ * stellar_regions.json (written by the stellar step) and builds the gate
+ * graph from each system's navigation data:
+ * 
+ *   neighbours  system IDs reachable through a stargate
+ *   stargates   gate ID → { destination } (destination is the gate on the
+ *               other side), or a list of gate records
+ * 
+ * The graph is the union of both, made symmetric, so a neighbour listed on
+ * only one side still connects the two systems.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { projectRoot } from '../utils.js';
+
+export const STELLAR_FILES = {
+    systems: 'data/extracted/stellar_systems.json',
+    constellations: 'data/extracted/stellar_constellations.json',
+    regions: 'data/extracted/stellar_regions.json'
+};
+
+export const STELLAR_LABELS_FILE = 'data/extracted/stellar_labels.json';
+
+/**
+ * Normalize a system's stargates to { id, destination } records
+ */
+export function stargateEntries(stargates) {
+    if (Array.isArray(stargates)) {
+        return stargates.map(gate => typeof gate === 'object' && gate !== null ?
+            { id: gate.id ?? gate.stargateID ?? null, destination: gate.destination ?? gate.destinationID ?? null } :
+            { id: gate, destination: null });
+    }
+    
+    return Object.entries(stargates || {}).map(([id, gate]) => ({
+        id: parseInt(id),
+        destination: typeof gate === 'object' && gate !== null ? gate.destination ?? gate.destinationID ?? null : gate
+    }));
+}
+
+export class StarMap {
+    /**
+     * @param {Object} data
+     * @param {Object} data.systems - stellar_systems.json contents
+     * @param {Object} data.constellations - stellar_constellations.json contents
+     * @param {Object} data.regions - stellar_regions.json contents
+     */
+    constructor({ systems, constellations, regions }) {
+        this.systems = new Map(Object.values(systems).map(system => [system.id, system]));
+        this.constellations = new Map(Object.values(constellations).map(constellation => [constellation.id, constellation]));
+        this.regions = new Map(Object.values(regions).map(region => [region.id, region]));
+        
+        this.buildGateGraph();
+    }
+    
+    /**
+     * Adjacency between systems, and the gate used for each connection
+     */
+    buildGateGraph() {
+        this.adjacency = new Map([...this.systems.keys()].map(id => [id, new Set()]));
+        this.gates = new Map();
+        
+        this.gateOwners = new Map();
+        for (const system of this.systems.values()) {
+            for (const gate of stargateEntries(system.navigation?.stargates)) {
+                if (gate.id !== null) this.gateOwners.set(gate.id, system.id);
+            }
+        }
+        
+        const connect = (from, to) => {
+            if (from === to || !this.systems.has(from) || !this.systems.has(to)) return;
+            this.adjacency.get(from).add(to);
+            this.adjacency.get(to).add(from);
+        };
+        
+        for (const system of this.systems.values()) {
+            for (const neighbourId of system.navigation?.neighbours || []) {
+                connect(system.id, neighbourId);
+            }
+            
+            for (const gate of stargateEntries(system.navigation?.stargates)) {
+                const destinationSystem = this.gateDestination(gate);
+                if (destinationSystem === null) continue;
+                
+                connect(system.id, destinationSystem);
+                if (gate.id !== null) {
+                    this.gates.set(`${system.id}-${destinationSystem}`, gate.id);
+                }
+            }
+        }
+    }
+    
+    /**
+     * System a stargate leads to, or null when its destination is unknown
+     * 
+     * Destinations name the gate on the far side; some data names the system directly.
+     */
+    gateDestination(gate) {
+        return this.gateOwners.get(gate.destination) ??
+            (this.systems.has(gate.destination) ? gate.destination : null);
+    }
+    
+    /**
+     * Systems one gate jump away, in ascending ID order
+     */
+    neighbours(systemId) {
+        return [...(this.adjacency.get(systemId) || [])].sort((a, b) => a - b);
+    }
+    
+    /**
+     * Stargate used to jump from one system to the other, when known
+     */
+    gateBetween(fromId, toId) {
+        return this.gates.get(`${fromId}-${toId}`) ?? null;
+    }
+    
+    /**
+     * Region of a system, falling back to its constellation's region
+     */
+    regionIdOf(systemId) {
+        const system = this.systems.get(systemId);
+        return system?.regionId ?? this.constellations.get(system?.constellationId)?.regionId ?? null;
+    }
+    
+    /**
+     * A system with its constellation and region names
+     */
+    describeSystem(systemId) {
+        const system = this.systems.get(systemId);
+        const constellation = this.constellations.get(system?.constellationId);
+        const region = this.regions.get(this.regionIdOf(systemId));
+        
+        return {
+            id: systemId,
+            name: system?.name ?? `System_${systemId}`,
+            constellation: constellation ? { id: constellation.id, name: constellation.name } : null,
+            region: region ? { id: region.id, name: region.name } : null
+        };
+    }
+    
+    resolveSystem(query) {
+        return resolveByIdOrName(this.systems, query, 'system');
+    }
+    
+    resolveConstellation(query) {
+        return resolveByIdOrName(this.constellations, query, 'constellation');
+    }
+    
+    resolveRegion(query) {
+        return resolveByIdOrName(this.regions, query, 'region');
+    }
+    
+    /**
+     * IDs of the systems in the given systems, constellations and regions
+     */
+    expandSystems({ systems = [], constellations = [], regions = [] } = {}) {
+        const ids = new Set(systems.map(query => this.resolveSystem(query).id));
+        const constellationIds = new Set(constellations.map(query => this.resolveConstellation(query).id));
+        const regionIds = new Set(regions.map(query => this.resolveRegion(query).id));
+        
+        for (const system of this.systems.values()) {
+            if (constellationIds.has(system.constellationId) || regionIds.has(this.regionIdOf(system.id))) {
+                ids.add(system.id);
+            }
+        }
+        
+        return ids;
+    }
+}
+
+/**
+ * Find an entry by numeric ID or case-insensitive name
+ */
+function resolveByIdOrName(entries, query, kind) {
+    const text = String(query).trim();
+    
+    if (/^\d+$/.test(text) && entries.has(parseInt(text))) {
+        return entries.get(parseInt(text));
+    }
+    
+    const matches = [...entries.values()].filter(entry => entry.name?.toLowerCase() === text.toLowerCase());
+    if (matches.length === 1) {
+        return matches[0];
+    }
+    if (matches.length > 1) {
+        throw new Error(`Ambiguous ${kind} name "${text}": use one of the IDs ${matches.map(entry => entry.id).join(', ')}`);
+    }
+    
+    throw new Error(`Unknown ${kind}: ${text}`);
+}
+
+/**
+ * Load the system, constellation and region names from stellar_labels.json
+ * 
+ * @returns {{ systems: Object, constellations: Object, regions: Object }} ID → name maps
+ */
+export function loadStellarLabels(root = projectRoot) {
+    const filePath = path.join(root, STELLAR_LABELS_FILE);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`${STELLAR_LABELS_FILE} not found. Run the stellar step first: npm run pipeline -- --steps stellar`);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Load the star map extracted by the stellar step
+ */
+export function loadStarMap(root = projectRoot) {
+    const data = {};
+    
+    for (const [key, file] of Object.entries(STELLAR_FILES)) {
+        const filePath = path.join(root, file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`${file} not found. Run the stellar step first: npm run pipeline -- --steps stellar`);
+        }
+        data[key] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+    
+    return new StarMap(data);
+}
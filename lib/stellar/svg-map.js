@@ -0,0 +1,255 @@
+/**
+ * SVG Map - Render the star map to a standalone SVG document
+ * 
+ * System centers are projected onto a plane (top, side, front, or any
+ * yaw/pitch), scaled to the canvas and drawn as dots coloured by region,
+ * security class or faction. Stargate connections are drawn underneath, and
+ * system, constellation and region names can be added as separate label
+ * layers (<g> groups that can be toggled in an editor).
+ */
+
+export const COLOR_MODES = ['region', 'security', 'faction'];
+export const LABEL_LAYERS = ['systems', 'constellations', 'regions'];
+
+/**
+ * Named projections as yaw (around the vertical Y axis) and pitch, in degrees
+ */
+export const PROJECTIONS = {
+    top: { yaw: 0, pitch: 90 },
+    side: { yaw: 0, pitch: 0 },
+    front: { yaw: 90, pitch: 0 }
+};
+
+const UNKNOWN_COLOR = '#8a8f98';
+const EDGE_COLOR = '#4a5060';
+
+/**
+ * Parse a projection name or "yaw,pitch" in degrees
+ */
+export function parseProjection(spec) {
+    if (PROJECTIONS[spec]) {
+        return { name: spec, ...PROJECTIONS[spec] };
+    }
+    
+    const angles = String(spec).split(',').map(Number);
+    if (angles.length !== 2 || angles.some(Number.isNaN)) {
+        throw new Error(`Unknown projection: ${spec}. Options: ${Object.keys(PROJECTIONS).join(', ')}, or <yaw>,<pitch> in degrees`);
+    }
+    return { name: `yaw ${angles[0]} pitch ${angles[1]}`, yaw: angles[0], pitch: angles[1] };
+}
+
+/**
+ * Screen axes for a projection: the right and up vectors of a camera turned
+ * by yaw and tilted by pitch. Pitch 0 looks along Z at the X/Y plane, pitch
+ * 90 looks straight down at the X/Z plane.
+ */
+function projectionAxes({ yaw, pitch }) {
+    const theta = yaw * Math.PI / 180;
+    const phi = pitch * Math.PI / 180;
+    
+    return {
+        right: [Math.cos(theta), 0, -Math.sin(theta)],
+        up: [-Math.sin(phi) * Math.sin(theta), Math.cos(phi), -Math.sin(phi) * Math.cos(theta)]
+    };
+}
+
+/**
+ * Evenly spread, stable colours for a list of category keys
+ */
+function categoryColors(keys) {
+    const colors = new Map();
+    keys.forEach((key, index) => {
+        // Golden-angle steps keep neighbouring categories apart
+        const hue = Math.round((index * 137.508) % 360);
+        colors.set(key, `hsl(${hue}, 70%, ${index % 2 === 0 ? 55 : 65}%)`);
+    });
+    return colors;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Category of a system for a colour mode, with its legend label
+ */
+function categoryOf(starMap, system, colorBy) {
+    switch (colorBy) {
+        case 'security': {
+            const securityClass = system.security?.class;
+            return securityClass ? { key: securityClass, label: `Security ${securityClass}` } : null;
+        }
+        case 'faction': {
+            const factionId = system.metadata?.factionId;
+            return factionId ? { key: factionId, label: `Faction ${factionId}` } : null;
+        }
+        default: {
+            const regionId = starMap.regionIdOf(system.id);
+            return regionId ? { key: regionId, label: starMap.regions.get(regionId)?.name ?? `Region_${regionId}` } : null;
+        }
+    }
+}
+
+/**
+ * Render the star map, or part of it, as an SVG document
+ * 
+ * @param {StarMap} starMap
+ * @param {Object} labels - stellar_labels.json contents
+ * @param {Object} [options]
+ * @param {Object} [options.projection] - From parseProjection (default: top)
+ * @param {string} [options.colorBy='region'] - 'region', 'security' or 'faction'
+ * @param {boolean} [options.gates=true] - Draw stargate connections
+ * @param {string[]} [options.labelLayers=[]] - Any of 'systems', 'constellations', 'regions'
+ * @param {Set<number>} [options.systemIds] - Only draw these systems (default: all)
+ * @param {number} [options.width=2000] - Length of the longer side in pixels; the other follows the map's aspect ratio
+ * @returns {{ svg: string, systems: number, gates: number, width: number, height: number }}
+ */
+export function renderStarMap(starMap, labels, {
+    projection = parseProjection('top'),
+    colorBy = 'region',
+    gates = true,
+    labelLayers = [],
+    systemIds = null,
+    width = 2000
+} = {}) {
+    if (!COLOR_MODES.includes(colorBy)) {
+        throw new Error(`Unknown colour mode: ${colorBy}. Options: ${COLOR_MODES.join(', ')}`);
+    }
+    const unknownLayer = labelLayers.find(layer => !LABEL_LAYERS.includes(layer));
+    if (unknownLayer) {
+        throw new Error(`Unknown label layer: ${unknownLayer}. Options: ${LABEL_LAYERS.join(', ')}`);
+    }
+    
+    const systems = [...starMap.systems.values()]
+        .filter(system => !systemIds || systemIds.has(system.id))
+        .sort((a, b) => a.id - b.id);
+    if (systems.length === 0) {
+        throw new Error('No systems to render');
+    }
+    
+    // Project to the plane, then fit into the canvas with a margin
+    const { right, up } = projectionAxes(projection);
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    const projected = new Map(systems.map(system => [system.id, [dot(system.center, right), dot(system.center, up)]]));
+    
+    const us = [...projected.values()].map(([u]) => u);
+    const vs = [...projected.values()].map(([, v]) => v);
+    const [minU, maxU, minV, maxV] = [Math.min(...us), Math.max(...us), Math.min(...vs), Math.max(...vs)];
+    const spanU = maxU - minU || 1;
+    const spanV = maxV - minV || 1;
+    const margin = Math.round(width * 0.04);
+    const scale = (width - 2 * margin) / Math.max(spanU, spanV);
+    const height = Math.round(spanV * scale + 2 * margin);
+    const canvasWidth = Math.round(spanU * scale + 2 * margin);
+    // SVG y grows downwards, so flip v
+    const toScreen = id => {
+        const [u, v] = projected.get(id);
+        return [margin + (u - minU) * scale, margin + (maxV - v) * scale];
+    };
+    const fixed = value => value.toFixed(1);
+    
+    // Colours by category, in a stable order
+    const categories = new Map(systems.map(system => [system.id, categoryOf(starMap, system, colorBy)]));
+    const legend = new Map();
+    for (const category of categories.values()) {
+        if (category && !legend.has(category.key)) legend.set(category.key, category.label);
+    }
+    const legendKeys = [...legend.keys()].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+    const colors = categoryColors(legendKeys);
+    const colorOf = id => categories.get(id) ? colors.get(categories.get(id).key) : UNKNOWN_COLOR;
+    
+    const radius = Math.max(1.5, Math.min(6, width / Math.sqrt(systems.length) / 12));
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${canvasWidth}" height="${height}" viewBox="0 0 ${canvasWidth} ${height}">`,
+        `  <title>EVE Frontier star map (${escapeXml(projection.name)}, coloured by ${colorBy})</title>`,
+        `  <rect width="100%" height="100%" fill="#0b0d12"/>`
+    ];
+    
+    // Gate connections (the star map's graph, as routes use it), once per pair, between drawn systems
+    let gateCount = 0;
+    if (gates) {
+        const drawn = new Set(systems.map(system => system.id));
+        const pairs = new Set();
+        for (const system of systems) {
+            for (const neighbourId of starMap.neighbours(system.id)) {
+                if (!drawn.has(neighbourId)) continue;
+                pairs.add(system.id < neighbourId ? `${system.id}-${neighbourId}` : `${neighbourId}-${system.id}`);
+            }
+        }
+        
+        lines.push(`  <g id="gates" stroke="${EDGE_COLOR}" stroke-width="${fixed(radius / 3)}" stroke-opacity="0.7">`);
+        for (const pair of [...pairs].sort()) {
+            const [from, to] = pair.split('-').map(Number);
+            const [x1, y1] = toScreen(from);
+            const [x2, y2] = toScreen(to);
+            lines.push(`    <line x1="${fixed(x1)}" y1="${fixed(y1)}" x2="${fixed(x2)}" y2="${fixed(y2)}"/>`);
+        }
+        lines.push('  </g>');
+        gateCount = pairs.size;
+    }
+    
+    lines.push('  <g id="systems">');
+    for (const system of systems) {
+        const [x, y] = toScreen(system.id);
+        const name = labels.systems?.[system.id] ?? system.name;
+        lines.push(`    <circle cx="${fixed(x)}" cy="${fixed(y)}" r="${fixed(radius)}" fill="${colorOf(system.id)}"><title>${escapeXml(`${name} (${system.id})`)}</title></circle>`);
+    }
+    lines.push('  </g>');
+    
+    // Label layers: systems beside their dot, constellations and regions at the centroid of their drawn systems
+    const centroids = (areaOf) => {
+        const groups = new Map();
+        for (const system of systems) {
+            const areaId = areaOf(system);
+            if (areaId === null || areaId === undefined) continue;
+            if (!groups.has(areaId)) groups.set(areaId, []);
+            groups.get(areaId).push(toScreen(system.id));
+        }
+        return [...groups.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([areaId, points]) => ({
+                id: areaId,
+                x: points.reduce((sum, [x]) => sum + x, 0) / points.length,
+                y: points.reduce((sum, [, y]) => sum + y, 0) / points.length
+            }));
+    };
+    
+    const fontSize = Math.max(8, Math.round(radius * 2.5));
+    for (const layer of LABEL_LAYERS.filter(name => labelLayers.includes(name))) {
+        if (layer === 'systems') {
+            lines.push(`  <g id="labels-systems" fill="#d5d9e0" font-family="sans-serif" font-size="${fontSize}">`);
+            for (const system of systems) {
+                const [x, y] = toScreen(system.id);
+                const name = labels.systems?.[system.id] ?? system.name;
+                lines.push(`    <text x="${fixed(x + radius * 1.5)}" y="${fixed(y + fontSize / 3)}">${escapeXml(name)}</text>`);
+            }
+        } else {
+            const areaOf = layer === 'regions' ? system => starMap.regionIdOf(system.id) : system => system.constellationId;
+            const size = fontSize * (layer === 'regions' ? 3 : 2);
+            lines.push(`  <g id="labels-${layer}" fill="#ffffff" fill-opacity="0.85" font-family="sans-serif" font-size="${size}" font-weight="bold" text-anchor="middle">`);
+            for (const { id, x, y } of centroids(areaOf)) {
+                const name = labels[layer]?.[id] ?? (layer === 'regions' ? starMap.regions : starMap.constellations).get(id)?.name ?? id;
+                lines.push(`    <text x="${fixed(x)}" y="${fixed(y)}">${escapeXml(name)}</text>`);
+            }
+        }
+        lines.push('  </g>');
+    }
+    
+    // Legend, top left
+    const legendSize = Math.max(10, Math.round(width / 120));
+    lines.push(`  <g id="legend" font-family="sans-serif" font-size="${legendSize}" fill="#d5d9e0">`);
+    legendKeys.forEach((key, index) => {
+        const y = margin / 2 + index * legendSize * 1.4;
+        lines.push(`    <circle cx="${margin / 2}" cy="${fixed(y)}" r="${fixed(legendSize / 3)}" fill="${colors.get(key)}"/>`);
+        lines.push(`    <text x="${fixed(margin / 2 + legendSize)}" y="${fixed(y + legendSize / 3)}">${escapeXml(legend.get(key))}</text>`);
+    });
+    lines.push('  </g>');
+    lines.push('</svg>');
+    
+    return { svg: lines.join('\n') + '\n', systems: systems.length, gates: gateCount, width: canvasWidth, height };
+}
@@ -0,0 +1,135 @@
+/**
+ * Step Graph - Resolve which pipeline steps run, and in what order
+ * 
+ * Each processor exports a step declaration:
+ * 
+ *   name            Name used with --steps
+ *   title, icon     Shown in the step banner and in --plan
+ *   dependsOn       Steps that must run first when both are in the plan
+ *   inputs          Files the step cannot run without
+ *   optionalInputs  Files the step reads when they exist
+ *   outputs         Files the step writes
+ *   params          Options that change the outputs (options => object)
+ *   cached          Reuse the whole step when its inputs are unchanged
+ *   source          Module (or list of modules) whose changes, or changes to any
+ *                   project module it imports, invalidate the cached step
+ *   run             ({ options, cache }) => result
+ * 
+ * inputs, optionalInputs and outputs may also be functions of the pipeline
+ * options. A requested step whose inputs are missing pulls in the step that
+ * produces them; with --no-deps that only warns.
+ */
+
+import path from 'path';
+import { files, projectRoot } from './utils.js';
+import { sourceModules } from './build-cache.js';
+
+/**
+ * Resolve a declaration field that may depend on the pipeline options
+ */
+export function resolveField(value, options) {
+    return (typeof value === 'function' ? value(options) : value) || [];
+}
+
+/**
+ * Inputs, outputs and params the build cache tracks for a cached step
+ */
+export function stepCacheSpec(step, options) {
+    return {
+        inputs: [
+            ...resolveField(step.inputs, options),
+            ...resolveField(step.optionalInputs, options),
+            ...(step.source ? sourceModules(step.source) : [])
+        ],
+        outputs: resolveField(step.outputs, options),
+        params: step.params ? step.params(options) : {}
+    };
+}
+
+/**
+ * Order steps so every step comes after the steps it depends on, directly or
+ * through steps that are not in the plan
+ */
+function orderSteps(registry, names) {
+    const byName = new Map(registry.map(step => [step.name, step]));
+    const selected = new Set(names);
+    const ordered = [];
+    const state = new Map();
+    
+    const visit = (name, trail) => {
+        if (state.get(name) === 'done') return;
+        if (state.get(name) === 'visiting') {
+            throw new Error(`Step dependency cycle: ${[...trail, name].join(' → ')}`);
+        }
+        
+        const step = byName.get(name);
+        if (!step) {
+            throw new Error(`Step ${trail[trail.length - 1]} depends on unknown step: ${name}`);
+        }
+        
+        state.set(name, 'visiting');
+        for (const dependency of step.dependsOn || []) {
+            visit(dependency, [...trail, name]);
+        }
+        state.set(name, 'done');
+        
+        if (selected.has(name)) {
+            ordered.push(step);
+        }
+    };
+    
+    for (const step of registry) {
+        visit(step.name, []);
+    }
+    
+    return ordered;
+}
+
+/**
+ * Work out the steps to run for the requested ones
+ * 
+ * @param {Object[]} registry - Step declarations, in their default order
+ * @param {string[]} requested - Step names given with --steps
+ * @param {Object} options - Pipeline options
+ * @param {boolean} [options.noDeps] - Warn about missing inputs instead of adding their steps
+ * @returns {{ steps: Object[], reasons: Map<string, string>, warnings: string[] }}
+ */
+export function resolvePlan(registry, requested, options) {
+    const byName = new Map(registry.map(step => [step.name, step]));
+    const reasons = new Map();
+    const warnings = [];
+    
+    for (const name of requested) {
+        if (!byName.has(name)) {
+            throw new Error(`Unknown step: ${name}. Available: ${registry.map(step => step.name).join(', ')}`);
+        }
+        reasons.set(name, 'requested');
+    }
+    
+    const queue = [...reasons.keys()];
+    while (queue.length > 0) {
+        const step = byName.get(queue.shift());
+        
+        for (const input of resolveField(step.inputs, options)) {
+            if (files.exists(path.join(projectRoot, input))) continue;
+            
+            const producer = registry.find(candidate => resolveField(candidate.outputs, options).includes(input));
+            if (!producer) {
+                warnings.push(`${step.name} needs ${input}, which no step produces`);
+            } else if (reasons.has(producer.name)) {
+                continue;
+            } else if (options.noDeps) {
+                warnings.push(`${step.name} needs ${input} from the ${producer.name} step, which is not in the plan`);
+            } else {
+                reasons.set(producer.name, `${input} is missing (needed by ${step.name})`);
+                queue.push(producer.name);
+            }
+        }
+    }
+    
+    return {
+        steps: orderSteps(registry, [...reasons.keys()]),
+        reasons,
+        warnings
+    };
+}
@@ -10,6 +10,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
+import readline from 'readline';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,6 +21,9 @@ export const projectRoot = path.resolve(__dirname, '..');
 export const CONFIG_FILE = path.join(projectRoot, '.eve-frontier-path');
 export const PYTHON_CONFIG_FILE = path.join(projectRoot, '.python312-path');
 
+// Project settings meant to be shared, e.g. which plugins to load
+export const PROJECT_CONFIG_FILE = path.join(projectRoot, 'eve-frontier-tools.config.json');
+
 // ANSI color codes for terminal output
 export const colors = {
     reset: '\x1b[0m',
@@ -84,6 +88,22 @@ export function saveConfiguration(config) {
     }
 }
 
+/**
+ * Load project settings from eve-frontier-tools.config.json, if present
+ */
+export function loadProjectConfig() {
+    if (!fs.existsSync(PROJECT_CONFIG_FILE)) {
+        return {};
+    }
+    
+    try {
+        return JSON.parse(fs.readFileSync(PROJECT_CONFIG_FILE, 'utf8'));
+    } catch (error) {
+        logger.error(`Could not read ${path.basename(PROJECT_CONFIG_FILE)}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
 /**
  * Ensure directory structure exists
  */
@@ -268,20 +288,6 @@ export const files = {
         } catch (error) {
             return false;
         }
-    },
-    
-    async createSymlink(sourcePath, targetPath) {
-        try {
-            if (fs.existsSync(targetPath)) {
-                await fs.promises.unlink(targetPath);
-            }
-            
-            await fs.promises.symlink(sourcePath, targetPath);
-            return true;
-        } catch (error) {
-            logger.error(`Symlink failed: ${path.basename(targetPath)} - ${error.message}`);
-            return false;
-        }
     }
 };
 
@@ -289,7 +295,13 @@ export const files = {
  * Process execution utilities
  */
 export const processes = {
-    async runPython(scriptPath, cwd = projectRoot) {
+    /**
+     * Run a Python script with the configured Python 3.12
+     * 
+     * With onEvent, the script's stdout is read as JSON lines and each parsed
+     * event is passed to the callback; lines that are not JSON are logged.
+     */
+    async runPython(scriptPath, { cwd = projectRoot, args = [], onEvent = null } = {}) {
         if (!fs.existsSync(PYTHON_CONFIG_FILE)) {
             logger.error('Python 3.12 not configured. Run: npm run setup');
             process.exit(1);
@@ -300,11 +312,25 @@ export const processes = {
         logger.info(`Running script: ${scriptPath}`);
         
         return new Promise((resolve, reject) => {
-            const pythonProcess = spawn(python312Path, [scriptPath], {
+            const pythonProcess = spawn(python312Path, [scriptPath, ...args], {
                 cwd,
-                stdio: 'inherit'
+                stdio: onEvent ? ['inherit', 'pipe', 'inherit'] : 'inherit'
             });
             
+            if (onEvent) {
+                const lines = readline.createInterface({ input: pythonProcess.stdout, crlfDelay: Infinity });
+                lines.on('line', (line) => {
+                    let event;
+                    try {
+                        event = JSON.parse(line);
+                    } catch (error) {
+                        log(line);
+                        return;
+                    }
+                    onEvent(event);
+                });
+            }
+            
             pythonProcess.on('close', (code) => {
                 if (code === 0) {
                     resolve();
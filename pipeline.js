@@ -1,20 +1,48 @@
 #!/usr/bin/env node
+import path from 'path';
 import { 
     logger, 
     loadConfiguration, 
+    loadProjectConfig,
     ensureDirectories,
     StatsCollector,
-    files 
+    json,
+    files, 
+    projectRoot 
 } from './lib/utils.js';
+import { BuildCache } from './lib/build-cache.js';
+import { BUILD_INFO_FILE } from './lib/game-build.js';
+import { EXTRACTED_DIR, createSnapshot, forgetRestoredSnapshot } from './lib/snapshots.js';
+import { resolveIndexFilters, splitGlobList } from './lib/index-filter.js';
+import { resolveMaterializeOptions } from './lib/materialize.js';
+import { resolvePlan, resolveField, stepCacheSpec } from './lib/step-graph.js';
+import { loadPlugins } from './lib/plugins.js';
 
-import { runSetup } from './lib/processors/setup.js';
-import { runFileIndexing } from './lib/processors/file-indexing.js';
-import { runFSDBinaryConversion } from './lib/processors/fsdbinary.js';
-import { runTypeNameExtraction } from './lib/processors/type-names.js';
-import { runBlueprintAnalysis } from './lib/processors/blueprints.js';
-import { processStellarCartography } from './lib/processors/stellar-cartography.js';
+import { setupStep } from './lib/processors/setup.js';
+import { fileIndexingStep, previewFileIndexing } from './lib/processors/file-indexing.js';
+import { fsdbinaryStep } from './lib/processors/fsdbinary.js';
+import { typeNamesStep } from './lib/processors/type-names.js';
+import { blueprintsStep } from './lib/processors/blueprints.js';
+import { stellarStep } from './lib/processors/stellar-cartography.js';
+import { localesStep } from './lib/processors/locales.js';
+import { messageCatalogStep } from './lib/processors/message-catalog.js';
 import { runCleanup } from './lib/processors/cleanup.js';
 
+/**
+ * Pipeline steps in their default order. Cleanup is handled separately
+ * because it removes what the other steps produce.
+ */
+const STEPS = [
+    setupStep,
+    fileIndexingStep,
+    fsdbinaryStep,
+    typeNamesStep,
+    blueprintsStep,
+    stellarStep,
+    localesStep,
+    messageCatalogStep
+];
+
 /**
  * Parse command line arguments
  */
@@ -25,7 +53,27 @@ function parseArgs() {
         skipSetup: false,
         verbose: false,
         force: false,
-        deep: false
+        deep: false,
+        noCache: false,
+        noSnapshot: false,
+        plan: false,
+        noDeps: false,
+        help: false,
+        pluginDir: null,
+        fsdBackend: 'python',
+        fsdFailurePolicy: 'required',
+        fsdWorkers: null,
+        stepArgs: {},
+        locales: ['all'],
+        indexFilters: {},
+        indexPreview: false,
+        materialize: null,
+        verifyCopies: null,
+        bomQuantity: 1,
+        producerPolicy: {
+            strategy: 'lowest-materials',
+            preferred: {}
+        }
     };
     
     for (let i = 0; i < args.length; i++) {
@@ -47,31 +95,133 @@ function parseArgs() {
             case '--deep':
                 options.deep = true;
                 break;
+            case '--no-cache':
+                options.noCache = true;
+                break;
+            case '--no-snapshot':
+                options.noSnapshot = true;
+                break;
+            case '--plan':
+                options.plan = true;
+                break;
+            case '--no-deps':
+                options.noDeps = true;
+                break;
+            case '--plugin-dir':
+                options.pluginDir = args[++i];
+                break;
+            case '--fsd-backend':
+                options.fsdBackend = args[++i];
+                break;
+            case '--fsd-failure-policy':
+                options.fsdFailurePolicy = args[++i];
+                break;
+            case '--fsd-workers':
+                options.fsdWorkers = parseInt(args[++i]) || null;
+                break;
+            case '--locale':
+                options.locales = (args[++i] || 'all').split(',').map(locale => locale.trim()).filter(Boolean);
+                break;
+            case '--index-include':
+                options.indexFilters.include = [...(options.indexFilters.include || []), ...splitGlobList(args[++i])];
+                break;
+            case '--index-exclude':
+                options.indexFilters.exclude = [...(options.indexFilters.exclude || []), ...splitGlobList(args[++i])];
+                break;
+            case '--index-filetypes':
+                options.indexFilters.filetypes = [...(options.indexFilters.filetypes || []), ...(args[++i] || '').split(',')];
+                break;
+            case '--index-exclude-filetypes':
+                options.indexFilters.excludeFiletypes = [...(options.indexFilters.excludeFiletypes || []), ...(args[++i] || '').split(',')];
+                break;
+            case '--index-preview':
+                options.indexPreview = true;
+                break;
+            case '--materialize':
+                options.materialize = args[++i];
+                break;
+            case '--no-verify-copies':
+                options.verifyCopies = false;
+                break;
+            case '--bom-quantity':
+                options.bomQuantity = parseInt(args[++i]) || 1;
+                break;
+            case '--producer-strategy':
+                options.producerPolicy.strategy = args[++i];
+                break;
+            case '--prefer-blueprint':
+                // productTypeID:blueprintTypeID pairs, comma-separated
+                for (const pair of (args[++i] || '').split(',')) {
+                    const [productId, blueprintId] = pair.split(':');
+                    if (productId && blueprintId) {
+                        options.producerPolicy.preferred[productId] = parseInt(blueprintId);
+                    }
+                }
+                break;
             case '--help':
             case '-h':
-                showHelp();
-                process.exit(0);
+                // Shown once plugins are loaded, so their steps are listed too
+                options.help = true;
                 break;
         }
     }
     
+    // Steps may carry arguments: fsdbinary:types+blueprints
+    options.steps = options.steps.map(step => {
+        const [name, stepArgs] = step.split(':');
+        if (stepArgs) {
+            options.stepArgs[name] = stepArgs.split('+').filter(Boolean);
+        }
+        return name;
+    });
+    
     return options;
 }
 
 /**
  * Show help information
  */
-function showHelp() {
+function showHelp(registry) {
+    const pluginSteps = registry.filter(step => step.plugin);
+    
     logger.info('\n🚀 EVE Frontier Tools - Data Processing Pipeline');
     logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     logger.info('\nUsage: npm run pipeline [options]');
     logger.info('\nOptions:');
     logger.info('  --steps <steps>     Comma-separated list of steps to run');
-    logger.info('                      Options: setup, index, fsdbinary, types, blueprints, stellar, cleanup, all');
+    logger.info(`                      Options: ${registry.map(step => step.name).join(', ')}, cleanup, all`);
     logger.info('                      Default: all (setup runs automatically only if config missing)');
+    logger.info('                      fsdbinary:<name+name> converts only those data files, e.g. fsdbinary:types+blueprints');
     logger.info('  --skip-setup        Skip setup validation (assumes already configured)');
     logger.info('  --force             Force cleanup without confirmation (required for cleanup step)');
     logger.info('  --deep              Deep cleanup including node_modules');
+    logger.info('  --no-cache          Rebuild everything, ignoring unchanged inputs from previous runs');
+    logger.info('  --no-snapshot       Don\'t archive data/extracted to snapshots/ after the run');
+    logger.info('  --plan              Show which steps would run, in order and why, then exit');
+    logger.info('  --no-deps           Only warn when a step\'s inputs are missing instead of adding the step that makes them');
+    logger.info('  --plugin-dir <dir>  Load plugin steps from this directory (default: plugins, or plugins.directory in');
+    logger.info('                      eve-frontier-tools.config.json, which also lists plugin packages)');
+    logger.info('  --fsd-backend <b>   FSDBinary decoder: python (game Loader modules) or node (schema-driven)');
+    logger.info('                      Default: python');
+    logger.info('  --fsd-failure-policy <p>  When failed conversions fail the step: required, any, never');
+    logger.info('                      Default: required (only types and blueprints must convert)');
+    logger.info('  --fsd-workers <n>   Python processes converting FSDBinary files in parallel (default: up to 4)');
+    logger.info('  --locale <codes>    Locales for the locales and messages steps, comma-separated, e.g. de,fr (default: all');
+    logger.info('                      converted localization tables); missing text falls back to English');
+    logger.info('  --index-include <globs>  Only link index entries whose res: path matches, e.g. "res:/staticdata/**"');
+    logger.info('  --index-exclude <globs>  Never link index entries whose res: path matches');
+    logger.info('  --index-filetypes <types>  Only link these filetypes, e.g. pickle,fsdbinary,schema,static');
+    logger.info('  --index-exclude-filetypes <types>  Never link these filetypes, e.g. dds,png,wem');
+    logger.info('                      Defaults come from "index" in eve-frontier-tools.config.json');
+    logger.info('  --index-preview     Show how many entries of each filetype the index filters link, then exit');
+    logger.info('  --materialize <m>   How setup and the index step make game files available: symlink, hardlink,');
+    logger.info('                      copy or manifest (record only). Default: symlink, or materialize.mode in');
+    logger.info('                      eve-frontier-tools.config.json');
+    logger.info('  --no-verify-copies  Don\'t read copies back to compare them with their source\'s SHA-1');
+    logger.info('  --bom-quantity <n>  Units per product in the expanded bill of materials (default: 1)');
+    logger.info('  --producer-strategy <s>  Pick between blueprints making the same product');
+    logger.info('                      Options: lowest-materials, highest-output, first (default: lowest-materials)');
+    logger.info('  --prefer-blueprint <product:blueprint,...>  Always use these blueprints for these products');
     logger.info('  --verbose           Enable verbose logging');
     logger.info('  --help, -h          Show this help message');
     logger.info('\nExamples:');
@@ -80,7 +230,19 @@ function showHelp() {
     logger.info('  npm run pipeline -- --steps cleanup --force  # Reset to clean state');
     logger.info('  npm run pipeline -- --steps cleanup --force --deep  # Deep cleanup including node_modules');
     logger.info('  npm run pipeline -- --steps types,blueprints  # Run specific steps only');
+    logger.info('  npm run pipeline -- --steps stellar --plan  # Show what running stellar involves');
+    logger.info('  npm run pipeline -- --steps fsdbinary:types+starmapcache  # Reconvert selected data files');
+    logger.info('  npm run pipeline -- --steps locales --locale de,fr  # German and French name tables');
+    logger.info('  npm run pipeline -- --index-exclude-filetypes dds,png,wem --index-preview  # Check index filters');
+    logger.info('  npm run pipeline -- --steps setup,index --materialize copy  # data/ independent of the install');
     logger.info('  npm run pipeline -- --skip-setup        # Skip setup validation');
+    
+    if (pluginSteps.length > 0) {
+        logger.info('\nPlugin steps:');
+        for (const step of pluginSteps) {
+            logger.info(`  ${step.name.padEnd(18)}  ${step.title} (${step.plugin})`);
+        }
+    }
 }
 
 /**
@@ -108,12 +270,105 @@ function validatePrerequisites(options) {
     }
 }
 
+/**
+ * Log the resolved steps, why each is included and anything missing
+ */
+function logPlan(plan, options) {
+    logger.info('\n🗺️  Execution plan:');
+    
+    plan.steps.forEach((step, index) => {
+        const reason = plan.reasons.get(step.name);
+        logger.info(`   ${index + 1}. ${step.name.padEnd(11)} ${step.title}`);
+        if (reason !== 'requested') {
+            logger.info(`      added: ${reason}`);
+        }
+        
+        if (options.plan) {
+            const inputs = [...resolveField(step.inputs, options), ...resolveField(step.optionalInputs, options)];
+            logger.info(`      after: ${(step.dependsOn || []).join(', ') || '-'}`);
+            logger.info(`      reads: ${inputs.join(', ') || '-'}`);
+            logger.info(`      writes: ${resolveField(step.outputs, options).join(', ') || '-'}`);
+        }
+    });
+    
+    if (plan.steps.length === 0) {
+        logger.info('   (no steps)');
+    }
+    
+    for (const warning of plan.warnings) {
+        logger.warning(warning);
+    }
+}
+
+/**
+ * Run a step unless its inputs are unchanged since it last completed
+ */
+async function runCachedStep(cache, step, options, run) {
+    const spec = stepCacheSpec(step, options);
+    
+    if (await cache.isFresh('steps', step.name, spec)) {
+        logger.success(`♻️  Inputs unchanged - reusing previous ${step.name} results`);
+        return { ...cache.getResult('steps', step.name), cached: true };
+    }
+    
+    const result = await run();
+    await cache.record('steps', step.name, { ...spec, result });
+    cache.save();
+    return result;
+}
+
+/**
+ * Write pipeline results to data/extracted/pipeline_results.json
+ */
+async function savePipelineResults(pipelineResults) {
+    await import('fs').then(fs => {
+        fs.writeFileSync(
+            path.join(projectRoot, 'data/extracted/pipeline_results.json'),
+            JSON.stringify(pipelineResults, null, 2)
+        );
+    });
+}
+
 /**
  * Run the complete pipeline
  */
 async function runPipeline() {
     const options = parseArgs();
+    
+    // Built-in steps plus any plugin steps
+    const pluginSettings = loadProjectConfig().plugins || {};
+    const plugins = await loadPlugins({
+        directory: options.pluginDir || pluginSettings.directory,
+        packages: pluginSettings.packages,
+        reservedNames: STEPS.map(step => step.name)
+    });
+    const registry = [...STEPS, ...plugins.steps];
+    
+    if (options.help) {
+        showHelp(registry);
+        process.exit(0);
+    }
+    
+    try {
+        resolveMaterializeOptions(options);
+    } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+    }
+    
+    if (options.indexPreview) {
+        try {
+            await previewFileIndexing(resolveIndexFilters(options.indexFilters));
+        } catch (error) {
+            logger.error(`Index preview failed: ${error.message}`);
+            process.exit(1);
+        }
+        return;
+    }
+    
     const globalStats = new StatsCollector();
+    const results = {};
+    let steps = [];
     
     logger.info('\n🚀 EVE Frontier Data Processing Pipeline');
     logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -122,89 +377,46 @@ async function runPipeline() {
     logger.info(`🔊 Verbose: ${options.verbose}`);
     
     try {
-        // Ensure directory structure exists
-        ensureDirectories();
-        
-        // Determine which steps to run
-        let steps;
-        if (options.steps.includes('all')) {
-            // Check if setup is needed
-            const needsSetup = !files.exists('.eve-frontier-path') || !files.exists('.python312-path');
-            
-            if (needsSetup) {
-                steps = ['setup', 'index', 'fsdbinary', 'types', 'blueprints', 'stellar'];
-                logger.info('Configuration missing - setup will be included automatically');
-            } else {
-                steps = ['index', 'fsdbinary', 'types', 'blueprints', 'stellar'];
-                logger.info('Configuration found - skipping setup step');
+        // Resolve the requested steps and whatever they depend on
+        const requested = options.steps.includes('all') ?
+            registry.filter(step => step.name !== 'setup').map(step => step.name) :
+            options.steps.filter(step => step !== 'cleanup');
+        for (const { names, message } of plugins.failures) {
+            const broken = names.find(name => requested.includes(name));
+            if (broken) {
+                throw new Error(`Step ${broken} cannot run: ${message}`);
             }
-        } else {
-            steps = options.steps;
-        }
-        
-        // Validate prerequisites (unless skipping or running setup)
-        if (!steps.includes('setup') && !validatePrerequisites(options)) {
-            process.exit(1);
         }
-        
-        const results = {};
-        
-        // Step 1: Setup
-        if (steps.includes('setup')) {
-            logger.info('\n📦 Step 1: Environment Setup');
-            logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-            
-            const setupSuccess = await runSetup();
-            if (!setupSuccess) {
-                logger.error('Setup failed. Cannot continue.');
-                process.exit(1);
-            }
-            results.setup = { completed: true };
-            globalStats.increment('stepsCompleted');
+        const plan = resolvePlan(registry, requested, options);
+        steps = plan.steps.map(step => step.name);
+        if (options.steps.includes('cleanup')) {
+            steps.push('cleanup');
         }
         
-        // Step 2: File Indexing
-        if (steps.includes('index')) {
-            logger.info('\n📖 Step 2: File Indexing and Symlink Creation');
-            logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-            
-            results.indexing = await runFileIndexing();
-            globalStats.increment('stepsCompleted');
+        logPlan(plan, options);
+        if (options.plan) {
+            return;
         }
         
-        // Step 3: FSDBinary Conversion
-        if (steps.includes('fsdbinary')) {
-            logger.info('\n🐍 Step 3: FSDBinary to JSON Conversion');
-            logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-            
-            results.fsdbinary = await runFSDBinaryConversion();
-            globalStats.increment('stepsCompleted');
-        }
+        // Ensure directory structure exists
+        ensureDirectories();
         
-        // Step 4: Type Name Extraction
-        if (steps.includes('types')) {
-            logger.info('\n🏷️  Step 4: Type Name Extraction');
-            logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-            
-            results.types = await runTypeNameExtraction();
-            globalStats.increment('stepsCompleted');
-        }
+        const cache = new BuildCache({ enabled: !options.noCache });
         
-        // Step 5: Blueprint Analysis
-        if (steps.includes('blueprints')) {
-            logger.info('\n🏭 Step 5: Blueprint Analysis and BOM Generation');
-            logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-            
-            results.blueprints = await runBlueprintAnalysis();
-            globalStats.increment('stepsCompleted');
+        // Validate prerequisites (unless skipping or running setup)
+        if (!steps.includes('setup') && !validatePrerequisites(options)) {
+            process.exit(1);
         }
         
-        // Step 6: Stellar Cartography
-        if (steps.includes('stellar')) {
-            logger.info('\n🌌 Step 6: Stellar Cartography Data Processing');
+        for (const [index, step] of plan.steps.entries()) {
+            logger.info(`\n${step.icon} Step ${index + 1}: ${step.title}`);
             logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
             
-            results.stellar = await processStellarCartography(process.cwd(), {});
+            const run = () => step.run({ options, cache });
+            results[step.resultKey || step.name] = step.cached ?
+                await runCachedStep(cache, step, options, run) :
+                await run();
+            cache.save();
             globalStats.increment('stepsCompleted');
         }
         
@@ -243,53 +455,87 @@ async function runPipeline() {
         logger.info(`   Steps completed: ${summary.stepsCompleted}/${summary.totalSteps}`, 'green');
         logger.info(`   Total processing time: ${summary.processingTime}`, 'bright');
         
+        const cacheReport = cache.report();
+        if (cacheReport.enabled) {
+            logger.info(`   Reused from cache: ${cacheReport.reused.length} (rebuilt: ${cacheReport.rebuilt.length})`);
+            for (const item of cacheReport.reused.filter(item => item.startsWith('steps:'))) {
+                logger.info(`     ♻️  ${item.replace('steps:', '')} step`);
+            }
+        } else {
+            logger.info('   Cache disabled (--no-cache): everything rebuilt');
+        }
+        
         // Only show data structure info if data processing steps were run
         const dataProcessingSteps = ['index', 'fsdbinary', 'types', 'blueprints'];
-        const hasDataProcessing = steps.some(step => dataProcessingSteps.includes(step));
+        const hasDataProcessing = plan.steps.some(step => dataProcessingSteps.includes(step.name) || step.plugin);
         
         if (hasDataProcessing) {
             logger.info('\n📁 Generated Data Structure:');
-            logger.info('   data/raw/          - Symlinked source files', 'cyan');
-            logger.info('   data/fsdbinary/    - Symlinked FSDBinary files', 'cyan');
-            logger.info('   data/json/         - FSDBinary → JSON conversions', 'cyan');
-            logger.info('   data/pickle/       - Symlinked pickle files', 'cyan');
-            logger.info('   data/sqlite/       - Symlinked SQLite databases', 'cyan');
-            logger.info('   data/static/       - Symlinked static files', 'cyan');
-            logger.info('   data/extracted/    - Processed and cleaned data', 'cyan');
+            logger.info('   data/raw/          - Linked source files');
+            logger.info('   data/fsdbinary/    - Linked FSDBinary files');
+            logger.info('   data/json/         - FSDBinary → JSON conversions');
+            logger.info('   data/pickle/       - Linked pickle files');
+            logger.info('   data/sqlite/       - Linked SQLite databases');
+            logger.info('   data/static/       - Linked static files');
+            logger.info('   data/extracted/    - Processed and cleaned data');
             
             logger.info('\n🔍 Key Generated Files:');
             logger.info('   data/json/types.json                      - Complete type database', 'green');
             logger.info('   data/extracted/type_names_published.json  - Type ID → name mappings', 'green');
             logger.info('   data/extracted/clean_blueprints_to_materials.json - Blueprint BOM', 'green');
-            
-            // Save pipeline results only if we have data to save
+        } else {
+            // For setup-only or other non-data steps, show appropriate next steps
+            if (steps.includes('setup') && steps.length === 1) {
+                logger.info('\n🚀 Setup completed! Next steps:');
+                logger.info('   npm run pipeline              # Run complete data extraction', 'cyan');
+                logger.info('   npm run extract               # Run data processing only', 'cyan');
+            }
+        }
+        
+        // Save pipeline results and archive them whenever a step of the run writes to data/extracted
+        const writesExtracted = plan.steps.some(step =>
+            resolveField(step.outputs, options).some(output => output.startsWith(`${EXTRACTED_DIR}/`)));
+        if (writesExtracted) {
+            const build = json.load(path.join(projectRoot, BUILD_INFO_FILE), false);
             const pipelineResults = {
+                build,
                 summary,
                 results,
+                cache: cacheReport,
                 completedAt: new Date().toISOString(),
                 steps: steps
             };
             
-            await import('fs').then(fs => {
-                fs.writeFileSync(
-                    './data/extracted/pipeline_results.json',
-                    JSON.stringify(pipelineResults, null, 2)
-                );
-            });
+            await savePipelineResults(pipelineResults);
+            forgetRestoredSnapshot();
             
             logger.success('\nPipeline results saved to data/extracted/pipeline_results.json');
-        } else {
-            // For setup-only or other non-data steps, show appropriate next steps
-            if (steps.includes('setup') && steps.length === 1) {
-                logger.info('\n🚀 Setup completed! Next steps:');
-                logger.info('   npm run pipeline              # Run complete data extraction', 'cyan');
-                logger.info('   npm run extract               # Run data processing only', 'cyan');
+            
+            if (!options.noSnapshot) {
+                const { snapshot, created } = await createSnapshot({ build, steps });
+                if (created) {
+                    logger.success(`Archived data/extracted as snapshot ${snapshot.id}`);
+                } else {
+                    logger.info(`Extracted data unchanged since snapshot ${snapshot.id}; nothing archived`);
+                }
             }
         }
         
     } catch (error) {
         logger.error(`\n💥 Pipeline failed: ${error.message}`);
         
+        // Steps that fail with structured results (e.g. per-file conversion tables) get them recorded
+        if (error.stepResults) {
+            await savePipelineResults({
+                summary: globalStats.summary(),
+                results: { ...results, ...error.stepResults },
+                failedAt: new Date().toISOString(),
+                error: error.message,
+                steps
+            });
+            logger.info('Partial results saved to data/extracted/pipeline_results.json');
+        }
+        
         if (options.verbose) {
             console.error(error.stack);
         }
@@ -1,35 +1,85 @@
+import argparse
 import pickle
 import glob
 import importlib
 import json
 import os
 import sys
+import time
 
 # Add the entire bin64 directory to Python path for complete runtime environment
 sys.path.insert(0, "bin64")
 os.makedirs("data/json", exist_ok=True)
 
+parser = argparse.ArgumentParser(description="Convert FSDBinary files to JSON via the game's Loader modules")
+parser.add_argument("--events", action="store_true", help="emit JSON line events on stdout (messages go to stderr)")
+parser.add_argument("--only", help="comma-separated loader or data names to convert, e.g. typesLoader,blueprints")
+parser.add_argument("--report", default="data/extracted/fsd_conversion_report.json", help="where to write the conversion report")
+args = parser.parse_args()
 
-def decode_cfsd(key, data, strings):
+# With --events, stdout carries one JSON event per line for the Node pipeline
+# and human-readable messages move to stderr.
+EVENTS = args.events
+
+
+def log(message):
+    print(message, file=sys.stderr if EVENTS else sys.stdout, flush=True)
+
+
+def emit(event, **fields):
+    if EVENTS:
+        print(json.dumps({"event": event, **fields}), flush=True)
+
+
+def join_path(parent, name):
+    return parent + "." + name if parent else name
+
+
+def new_report():
+    # Field paths use the same notation as the Node reader: "a.b" for
+    # attributes, "{}" for dict values and "[]" for list items.
+    return {"vectorFields": set(), "undecodableFields": {}}
+
+
+def is_name_id(key):
+    return isinstance(key, str) and key.lower().endswith("nameid") and key != "dungeonNameID"
+
+
+def decode_cfsd(key, data, strings, report, path=""):
     data_type = type(data)
 
     if data_type.__module__ == "cfsd" and data_type.__name__ == "dict":
-        return {k: decode_cfsd(k, v, strings) for k, v in data.items()}
+        return {k: decode_cfsd(k, v, strings, report, path + "{}") for k, v in data.items()}
     if data_type.__module__.endswith("Loader"):
-        return {x: decode_cfsd(x, getattr(data, x), strings) for x in dir(data) if not x.startswith("__")}
+        decoded = {x: decode_cfsd(x, getattr(data, x), strings, report, join_path(path, x)) for x in dir(data) if not x.startswith("__")}
+        # Mark the attributes holding vectors, which otherwise look like plain lists of numbers.
+        vector_fields = sorted(x for x in decoded if type(getattr(data, x)).__name__.endswith("_vector") and decoded[x] is not None)
+        if vector_fields:
+            decoded["_vectorFields"] = vector_fields
+        # Keep the message IDs behind resolved names, so other locales can be looked up later.
+        message_ids = {x: getattr(data, x) for x in decoded if is_name_id(x) and isinstance(getattr(data, x), int)}
+        if message_ids:
+            decoded["_messageIDs"] = message_ids
+        return decoded
 
     if data_type.__module__ == "cfsd" and data_type.__name__ == "list":
-        return [decode_cfsd(None, v, strings) for v in data]
+        return [decode_cfsd(None, v, strings, report, path + "[]") for v in data]
     if isinstance(data, tuple):
-        return tuple([decode_cfsd(None, v, strings) for v in data])
+        return tuple([decode_cfsd(None, v, strings, report, path + "[]") for v in data])
 
     if data_type.__name__.endswith("_vector"):
-        # TODO
-        return None
+        # Vectors are fixed-length sequences of numbers.
+        try:
+            values = [float(v) for v in data]
+        except TypeError:
+            report["undecodableFields"][path] = data_type.__name__
+            return None
+        report["vectorFields"].add(path)
+        return values
 
     if isinstance(data, int) or data_type.__name__ == "long":
         # In case it is a NameID, look up the name.
-        if key is not None and isinstance(key, str) and key.lower().endswith("nameid") and key != "dungeonNameID":
+        if is_name_id(key):
             return strings[data][0]
         return data
     if isinstance(data, float):
@@ -37,40 +87,81 @@ def decode_cfsd(key, data, strings):
     if isinstance(data, str):
         return data
 
-    raise ValueError("Unknown type: " + str(type(data)))
+    # Leave unknown types out rather than aborting the whole file, and report them.
+    report["undecodableFields"][path] = data_type.__module__ + "." + data_type.__name__
+    return None
 
 
 # Load all the english strings.
-print("Loading 'localization_fsd_en-us.pickle' ...")
+log("Loading 'localization_fsd_en-us.pickle' ...")
 with open("data/pickle/localization_fsd_en-us.pickle", "rb") as f:
     strings = pickle.load(f)[1]
 
-print(f"Loaded {len(strings)} localization strings")
-
-# Convert all available fsdbinary files via their Loader to JSON.
-for loader in glob.glob("bin64/*Loader.pyd"):
+log(f"Loaded {len(strings)} localization strings")
+
+# Convert all available (or only the requested) fsdbinary files via their Loader to JSON.
+loaders = glob.glob("bin64/*Loader.pyd")
+if args.only:
+    wanted = {name.strip().lower() for name in args.only.split(",")}
+    loaders = [
+        loader for loader in loaders
+        if os.path.splitext(os.path.basename(loader))[0].lower() in wanted
+        or os.path.basename(loader).lower().replace("loader.pyd", "") in wanted
+    ]
+emit("begin", loaders=len(loaders), strings=len(strings))
+
+conversion_report = {}
+for loader in loaders:
     loader_name = os.path.splitext(os.path.basename(loader))[0]
     data_name = loader_name.replace("Loader", "").lower() + ".fsdbinary"
 
-    print(f"Loading '{data_name}' with '{loader_name}' ...")
+    log(f"Loading '{data_name}' with '{loader_name}' ...")
+    emit("start", loader=loader_name, dataName=data_name)
+    started = time.time()
 
     try:
         lib = importlib.import_module(loader_name)
         data = lib.load("data/fsdbinary/" + data_name)
-        data = decode_cfsd(None, data, strings)
+        report = new_report()
+        data = decode_cfsd(None, data, strings, report)
+        conversion_report[data_name] = {
+            "vectorFields": sorted(report["vectorFields"]),
+            "undecodableFields": report["undecodableFields"],
+        }
+        # An undecodable root would be written as null; that is a failed conversion, not an empty file.
+        if "" in report["undecodableFields"]:
+            raise ValueError(f"cannot decode the root value ({report['undecodableFields']['']})")
 
         output_file = "data/json/" + data_name.replace(".fsdbinary", ".json")
-        with open(output_file, "w") as f:
-            json.dump(data, f, indent=4)
-        
-        print(f"Successfully converted {data_name} to {output_file}")
         
         # If this is types.json, give some stats
         if "types" in output_file:
-            print(f"Types data contains {len(data)} entries")
-            
+            log(f"Types data contains {len(data)} entries")
+        
+        with open(output_file, "w") as f:
+            json.dump(data, f, indent=4)
+        
+        log(f"Successfully converted {data_name} to {output_file}")
+        # Last in the try block: a loader reports either success or error, never both
+        emit(
+            "success",
+            loader=loader_name,
+            dataName=data_name,
+            outputFile=output_file,
+            rows=len(data) if isinstance(data, (dict, list, tuple)) else None,
+            outputBytes=os.path.getsize(output_file),
+            vectorFields=len(report["vectorFields"]),
+            undecodableFields=len(report["undecodableFields"]),
+            seconds=round(time.time() - started, 2),
+        )
     except Exception as e:
-        print(f"Error processing {loader_name}: {e}")
+        log(f"Error processing {loader_name}: {e}")
+        emit("error", loader=loader_name, dataName=data_name, error=str(e), seconds=round(time.time() - started, 2))
         continue
 
-print("Done!") 
\ No newline at end of file
+os.makedirs(os.path.dirname(args.report) or ".", exist_ok=True)
+with open(args.report, "w") as f:
+    json.dump(conversion_report, f, indent=4)
+
+emit("end")
+log("Done!") 
\ No newline at end of file
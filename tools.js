@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+import { logger } from './lib/utils.js';
+
+import { routeCommand, jumpRouteCommand } from './lib/commands/route.js';
+import { nearbyCommand } from './lib/commands/nearby.js';
+import { renderCommand } from './lib/commands/render.js';
+import { messagesCommand } from './lib/commands/messages.js';
+import { diffCommand } from './lib/commands/diff.js';
+import { snapshotsCommand } from './lib/commands/snapshots.js';
+import { indexDiffCommand } from './lib/commands/index-diff.js';
+import { materializedCommand } from './lib/commands/materialized.js';
+
+/**
+ * Commands that query or compare the extracted data
+ */
+const COMMANDS = [
+    routeCommand,
+    jumpRouteCommand,
+    nearbyCommand,
+    renderCommand,
+    messagesCommand,
+    diffCommand,
+    snapshotsCommand,
+    indexDiffCommand,
+    materializedCommand
+];
+
+/**
+ * Show help information
+ */
+function showHelp() {
+    logger.info('\n🧰 EVE Frontier Tools - Data Queries');
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.info('\nUsage: npm run tools -- <command> [options]');
+    logger.info('\nCommands:');
+    for (const command of COMMANDS) {
+        logger.info(`  ${command.name.padEnd(18)}  ${command.summary}`);
+    }
+    logger.info('\nRun "npm run tools -- <command> --help" for the options of a command.');
+}
+
+async function runTools() {
+    const [commandName, ...args] = process.argv.slice(2);
+    
+    if (!commandName || commandName === '--help' || commandName === '-h') {
+        showHelp();
+        return;
+    }
+    
+    const command = COMMANDS.find(candidate => candidate.name === commandName);
+    if (!command) {
+        logger.error(`Unknown command: ${commandName}`);
+        showHelp();
+        process.exit(1);
+    }
+    
+    await command.run(args);
+}
+
+runTools().catch(error => {
+    logger.error(error.message);
+    process.exit(1);
+});